@@ -0,0 +1,18 @@
+// balance-survey.js - example batch run with the scripting API: for 50 mystery drops, time a
+// field-off fall between two heights and record the balance voltage, as CSV on stdout.
+// Usage: node dev/balance-survey.js [seed]
+
+import { createExperiment } from '../sim/api.js';
+
+const exp = createExperiment({ seed: process.argv[2] ?? 1234 });
+console.log('drop,radius_um,charge_e,gap_mm,fall_velocity_mm_s,terminal_velocity_mm_s,balance_kV');
+for (let i = 1; i <= 50; i++) {
+  exp.newDrop();
+  const gapMm = exp.get('gapMm');
+  exp.set({ fieldEnabled: false, heightMm: 0.1 * gapMm, velocity: 0 });
+  const fall = exp.time({ fromMm: 0.2 * gapMm, toMm: 0.8 * gapMm, timeout: 300 });
+  exp.set({ fieldEnabled: true });
+  const m = exp.measure();
+  console.log([i, m.radiusMicrons.toFixed(2), m.chargeMultiple, gapMm.toFixed(1), fall ? (fall.velocity * 1000).toFixed(5) : '',
+    (m.terminalVelocity * 1000).toFixed(5), m.balanceVoltageKV.toFixed(4)].join(','));
+}
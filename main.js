@@ -1,86 +1,77 @@
 // main.js - Millikan oil drop 2D simulator (module)
 
+import {
+  ELECTRON_CHARGE, BOLTZMANN, MAX_FRAME_DT, MIN_GAP_METERS, MAX_GAP_METERS,
+  INTEGRATORS, PLATE_CONTACT_MODES, clamp, createState, createDrop, createSimulation, applyEnvironment,
+} from './sim/engine.js';
+import { GASES, MIN_PRESSURE_PA, MAX_PRESSURE_PA, resolveGas } from './sim/gas.js';
+import { WAVEFORM_SHAPES, MAX_WAVEFORM_KV } from './sim/waveform.js';
+import { createMicroscope } from './sim/microscope.js';
+import { niceTicks, lowerBound, visibleRange, cursorReadout } from './sim/graph.js';
+import { describeDrop, describeContact, createContactWatch, createBalanceWatch } from './sim/describe.js';
+import { createStopwatch } from './sim/measurement.js';
+import { estimateDrop, fitElementaryCharge, chargeHistogram } from './sim/analysis.js';
+import { createDiffusionRun, meanSquaredDisplacement, fitDiffusion, diffusionEstimates } from './sim/diffusion.js';
+import { createHoldController } from './sim/controller.js';
+import { createIonizer } from './sim/ionizer.js';
+import { createRunRecorder, runToCSV, runToJSON, parseRun } from './sim/recorder.js';
+import { BUILTIN_PRESETS, capturePreset, presetToQuery, presetFromQuery, loadUserPresets, saveUserPreset, deleteUserPreset } from './sim/presets.js';
+import { LAB_DIFFICULTIES, resolveDifficulty, labDropSetup, scoreLabAnswer } from './sim/lab.js';
+import { createExperiment } from './sim/api.js';
+
 const canvas = document.getElementById('simCanvas');
 const ctx = canvas.getContext('2d');
 const historyCanvas = document.getElementById('historyCanvas');
 const historyCtx = historyCanvas ? historyCanvas.getContext('2d') : null;
+const analysisCanvas = document.getElementById('analysisCanvas');
+const analysisCtx = analysisCanvas ? analysisCanvas.getContext('2d') : null;
+const diffusionCanvas = document.getElementById('diffusionCanvas');
+const diffusionCtx = diffusionCanvas ? diffusionCanvas.getContext('2d') : null;
 const runIndicator = document.getElementById('runIndicator');
 const plateTopLabel = document.querySelector('.plate-top');
 const plateBottomLabel = document.querySelector('.plate-bottom');
 
-// Physics constants
-const ELECTRON_CHARGE = 1.602e-19;
-const OIL_DENSITY = 860; // kg/m^3
-const AIR_DENSITY = 1.2; // kg/m^3
-const BOLTZMANN = 1.380649e-23;
-const AIR_MEAN_FREE_PATH = 65e-9; // m
-const CUNNINGHAM_A = 1.257;
-const CUNNINGHAM_B = 0.4;
-const CUNNINGHAM_C = 1.1;
-
-// Integrator constants
-const MAX_FRAME_DT = 1 / 20;
-const SUBSTEP_DT = 1 / 1800;
-const BASE_MAX_SPEED = 0.12; // m/s
-const BOUNCE_DAMPING = 0.3;
-const HISTORY_WINDOW_SECONDS = 20;
+// UI-only constants
+const HISTORY_WINDOW_SECONDS = 20; // default visible span of the history graph
+const HISTORY_MIN_SPAN = 0.5;
+const HISTORY_MAX_SAMPLES = 45 * 60 * 30; // half an hour of history at the sample rate
 const HISTORY_SAMPLE_INTERVAL = 1 / 45;
-const MIN_GAP_METERS = 0.002;
-const MAX_GAP_METERS = 0.01;
-
-// Global state
-const state = {
-  running: true,
-  voltageKV: 2.0,
-  plateGapMeters: 0.005,
-  radiusMicrons: 0.9,
-  viscosity: 1.8e-5,
-  temperatureK: 295,
-  noiseBoost: 1,
-  fieldEnabled: true,
-  showTrail: true,
-  showGrid: true,
-  gravity: 9.81,
-  pulseTimer: 0,
-  fieldPolarity: 1,
-};
 
-const drop = {
-  y: 0.005 * 0.35,
-  velocity: 0,
-  chargeMultiple: -8,
-  chargeCoulombs: -8 * ELECTRON_CHARGE,
-  radiusMeters: 0.9e-6,
-  mass: 0,
-  slipFactor: 1,
-  dragCoeff: 0,
+// Global state (physics fields come from the engine, UI flags live alongside)
+const state = createState({ running: true, showTrail: true, showGrid: true, eyepieceView: false, measureMode: false, dropCount: 1, radiusSpread: 0.2, chargeMax: 12 });
+const sim = createSimulation({ state });
+let drop = sim.drop; // selected drop: readouts, history, sliders and clicks follow it
+
+const trails = new Map(); // drop id -> fading trail points
+const stopwatch = createStopwatch();
+let draggingReticle = null; // 'upper' | 'lower' while a reticle line is being dragged
+const analysisDrops = []; // measured drops collected for the charge analysis
+const hold = createHoldController(); // PID balance hold on the plate voltage
+sim.controllers.push((s, dt) => hold.update(s, dt));
+const ionizer = createIonizer(); // stochastic ±1e charge events from an ionizing source
+sim.controllers.push((s, dt) => ionizer.update(s, dt));
+ionizer.onEvent(handleIonEvent);
+const contactWatch = createContactWatch(); // one announcement per plate visit of the selected drop
+const balanceWatch = createBalanceWatch();
+const a11y = { holdSettled: false, describeClock: 0 }; // announcement state and description refresh timer
+sim.onContact(handleContact);
+const lab = { active: false, locked: false, difficulty: 'medium', truth: null, result: null }; // student lab round
+const historySamples = []; // selected drop since it was selected, for the history graph
+// History graph traces: each selected trace gets its own lane with an autoscaled axis
+const HISTORY_TRACES = {
+  height: { label: 'y below top plate', unit: 'mm', color: '#3ee2ff', value: s => s.y * 1000, inverted: true },
+  velocity: { label: 'velocity (+ down)', unit: 'mm/s', color: 'rgba(255,140,66,0.9)', value: s => s.velocity * 1000 },
+  field: { label: 'field', unit: 'kV/m', color: 'rgba(200,160,255,0.85)', value: s => s.field / 1000 },
+  charge: { label: 'charge', unit: 'e', color: 'rgba(255,230,120,0.85)', value: s => s.chargeMultiple, hidesTruth: true },
+  voltage: { label: 'applied voltage', unit: 'kV', color: 'rgba(120,255,170,0.75)', value: s => s.voltage },
 };
-
-const trail = [];
-const historySamples = [];
+// live: the right edge follows sim time; otherwise `end` is fixed and the view can be scrolled
+const historyView = { traces: new Set(['height', 'velocity', 'voltage']), span: HISTORY_WINDOW_SECONDS, live: true, end: 0, cursors: [], dragging: null };
 let historyAccumulator = 0;
-
-// --- Utilities
-function clamp(v, a, b) { return Math.min(Math.max(v, a), b); }
-function gaussianRandom() {
-  let u=0, v=0; while(u===0) u=Math.random(); while(v===0) v=Math.random();
-  return Math.sqrt(-2*Math.log(u)) * Math.cos(2*Math.PI*v);
-}
-
-function computeSlipCorrection(radiusMeters) {
-  const r = Math.max(radiusMeters, 5e-9);
-  const kn = AIR_MEAN_FREE_PATH / r;
-  return 1 + kn * (CUNNINGHAM_A + CUNNINGHAM_B * Math.exp(-CUNNINGHAM_C / kn));
-}
-
-function recomputeDropCoefficients() {
-  drop.radiusMeters = state.radiusMicrons * 1e-6;
-  const volume = (4/3) * Math.PI * Math.pow(drop.radiusMeters, 3);
-  const effDensity = Math.max(OIL_DENSITY - AIR_DENSITY, 1);
-  drop.mass = Math.max(volume * effDensity, 1e-20);
-  drop.slipFactor = computeSlipCorrection(drop.radiusMeters);
-  drop.dragCoeff = (6 * Math.PI * state.viscosity * drop.radiusMeters) / drop.slipFactor;
-}
+const recorder = createRunRecorder({ interval: HISTORY_SAMPLE_INTERVAL, maxSamples: HISTORY_MAX_SAMPLES }); // run for export, the last half hour once it grows past that
+let historyOverlay = null; // imported run drawn over the history graph: { samples, name }
+const diffusion = createDiffusionRun(); // field-off Brownian run of the selected drop
+const microscope = createMicroscope(); // horizontal drift and focus depth for the eyepiece view
 
 function getCanvasSize() {
   const ratio = window.devicePixelRatio || 1;
@@ -117,84 +108,42 @@ function syncPlateLabels(bounds) {
   plateBottomLabel.style.bottom = 'auto';
 }
 
-function getDropScreenPosition() {
-  const { width } = getCanvasSize();
-  const bounds = getPlateBounds();
-  const usable = Math.max(bounds.bottom - bounds.top, 1);
-  const normalized = drop.y / state.plateGapMeters;
-  const y = bounds.top + normalized * usable;
-  const x = width / 2;
-  return { x, y };
-}
+function getDropScreenPosition(d = drop) { return state.eyepieceView ? getEyepieceScreenPosition(d) : getDropScreenPositionFromY(d.y, d.x); }
 
-function getDropPixelRadius() {
+// A lab round draws every drop the same size, so the hidden radius cannot be read off the canvas
+function getDropPixelRadius(d = drop) {
   const minPx = 8, maxPx = 22;
-  const normalized = (state.radiusMicrons - 0.3) / (1.5 - 0.3);
+  if (labHidesTruth()) return (minPx + maxPx) / 2;
+  const normalized = (d.radiusMeters * 1e6 - 0.3) / (1.5 - 0.3);
   return minPx + normalized * (maxPx - minPx);
 }
 
-function computeElectricField() {
-  if (!state.fieldEnabled) return 0;
-  const gap = Math.max(state.plateGapMeters, 1e-5);
-  return (state.voltageKV * 1000 * state.fieldPolarity) / gap;
-}
-
-// Integrator step for the single drop
-function integrateStep(dt, E) {
-  const gravityForce = drop.mass * state.gravity;
-  const electricForce = drop.chargeCoulombs * E;
-  if (!Number.isFinite(drop.dragCoeff) || drop.dragCoeff <= 0) recomputeDropCoefficients();
-  const dragCoeff = drop.dragCoeff;
-  const dragForce = -dragCoeff * drop.velocity;
-
-  const noiseStd = 0.6 * Math.sqrt((2 * BOLTZMANN * state.temperatureK * dragCoeff) / Math.max(dt, 1e-6));
-  const noiseForce = state.noiseBoost * noiseStd * gaussianRandom();
-
-  const netForce = gravityForce + electricForce + dragForce + noiseForce;
-  const accel = netForce / drop.mass;
-  drop.velocity += accel * dt;
-
-  // Dynamic speed cap (so "wrong" inputs actually fall/rise noticeably)
-  const deterministicNet = gravityForce + electricForce;
-  const vtAnalytic = dragCoeff > 0 ? deterministicNet / dragCoeff : 0;
-  const dynamicCap = Math.max(2 * Math.abs(vtAnalytic), 0.02);
-  const speedCap = Math.max(dynamicCap, BASE_MAX_SPEED * 0.25);
-  drop.velocity = clamp(drop.velocity, -speedCap, speedCap);
-
-  drop.y += drop.velocity * dt;
-
-  if (drop.y < 0) { drop.y = 0; drop.velocity *= -BOUNCE_DAMPING; }
-  const maxY = state.plateGapMeters;
-  if (drop.y > maxY) { drop.y = maxY; drop.velocity *= -BOUNCE_DAMPING; }
-}
-
-// Trail management
+// Trail management (one fading trail per drop)
 function advanceTrail(dt, appendSample) {
-  if (!state.showTrail) { trail.length = 0; return; }
-  if (appendSample) { trail.push({ y: drop.y, alpha: 1 }); if (trail.length > 140) trail.shift(); }
+  if (!state.showTrail) { trails.clear(); return; }
   const fade = clamp(dt, 0, 0.05) * 0.9;
-  for (let i = trail.length - 1; i >= 0; i--) {
-    const p = trail[i];
-    p.alpha = Math.max(0, (p.alpha || 1) - fade);
-    if (p.alpha <= 0.02) trail.splice(i, 1);
+  for (const d of sim.drops) {
+    let trail = trails.get(d.id);
+    if (!trail) { trail = []; trails.set(d.id, trail); }
+    if (appendSample) { trail.push({ y: d.y, alpha: 1 }); if (trail.length > 140) trail.shift(); }
+    for (let i = trail.length - 1; i >= 0; i--) {
+      const p = trail[i];
+      p.alpha = Math.max(0, (p.alpha || 1) - fade);
+      if (p.alpha <= 0.02) trail.splice(i, 1);
+    }
   }
+  for (const id of trails.keys()) if (!sim.drops.some(d => d.id === id)) trails.delete(id);
 }
 
 function update(dt) {
   const safeDt = Number.isFinite(dt) ? Math.max(0, dt) : 0;
-  let E = computeElectricField();
+  let E = sim.field();
   if (!state.running) { advanceTrail(safeDt, false); return E; }
-  let remaining = Math.min(safeDt, MAX_FRAME_DT);
+  const remaining = Math.min(safeDt, MAX_FRAME_DT);
   if (remaining === 0) { advanceTrail(0, false); return E; }
 
-  while (remaining > 0) {
-    const stepDt = Math.min(remaining, SUBSTEP_DT);
-    state.pulseTimer = Math.max(0, state.pulseTimer - stepDt);
-    if (state.pulseTimer === 0 && state.fieldPolarity !== 1) { state.fieldPolarity = 1; }
-    E = computeElectricField();
-    integrateStep(stepDt, E);
-    remaining -= stepDt;
-  }
+  E = sim.step(remaining);
+  microscope.update(sim, remaining);
   advanceTrail(safeDt, true);
   return E;
 }
@@ -228,7 +177,7 @@ function drawPlates() {
 function drawFieldLines() {
   if (!state.fieldEnabled) return;
   ctx.save(); const spacing = 80; const { width } = getCanvasSize(); const bounds = getPlateBounds();
-  const top = bounds.top; const bottom = bounds.bottom; const eSign = Math.sign(drop.chargeMultiple || -1);
+  const top = bounds.top; const bottom = bounds.bottom; const eSign = labHidesTruth() ? -1 : Math.sign(drop.chargeMultiple || -1);
   for (let x = 80; x < width - 40; x += spacing) {
     const grad = ctx.createLinearGradient(0, top, 0, bottom);
     grad.addColorStop(0, eSign < 0 ? 'rgba(62,226,255,0.4)' : 'rgba(255,140,66,0.25)');
@@ -239,28 +188,272 @@ function drawFieldLines() {
 }
 
 function drawTrail() {
-  if (!state.showTrail || trail.length === 0) return;
+  if (!state.showTrail || trails.size === 0) return;
   ctx.save(); ctx.lineWidth = 3; ctx.lineCap = 'round';
-  const coords = trail.map(p => { const pos = getDropScreenPositionFromY(p.y); return { x: pos.x, y: pos.y, a: p.alpha || 1 }; });
-  for (let i=1;i<coords.length;i++) {
-    const from = coords[i-1], to = coords[i]; const alpha = clamp(to.a, 0.05, 1);
-    ctx.strokeStyle = `rgba(62,226,255,${0.12 + alpha * 0.25})`;
-    ctx.beginPath(); ctx.moveTo(from.x, from.y); ctx.lineTo(to.x, to.y); ctx.stroke();
+  for (const d of sim.drops) {
+    const trail = trails.get(d.id); if (!trail || trail.length < 2) continue; const emphasis = d === drop ? 1 : 0.5;
+    const coords = trail.map(p => { const pos = getDropScreenPositionFromY(p.y, d.x); return { x: pos.x, y: pos.y, a: p.alpha || 1 }; });
+    for (let i=1;i<coords.length;i++) {
+      const from = coords[i-1], to = coords[i]; const alpha = clamp(to.a, 0.05, 1);
+      ctx.strokeStyle = `rgba(62,226,255,${(0.12 + alpha * 0.25) * emphasis})`;
+      ctx.beginPath(); ctx.moveTo(from.x, from.y); ctx.lineTo(to.x, to.y); ctx.stroke();
+    }
   }
   ctx.restore();
 }
 
-function getDropScreenPositionFromY(yValue) { const { width } = getCanvasSize(); const bounds = getPlateBounds(); const usable = Math.max(bounds.bottom - bounds.top, 1); const normalized = yValue / state.plateGapMeters; const y = bounds.top + normalized * usable; const x = width / 2; return { x, y }; }
+function getDropScreenPositionFromY(yValue, xNorm = 0.5) { const { width } = getCanvasSize(); const bounds = getPlateBounds(); const usable = Math.max(bounds.bottom - bounds.top, 1); const normalized = yValue / state.plateGapMeters; const y = bounds.top + normalized * usable; const x = 60 + xNorm * (width - 120); return { x, y }; }
 
 function drawDrop() {
-  const { x, y } = getDropScreenPosition(); const radius = getDropPixelRadius(); ctx.save();
-  const gradient = ctx.createRadialGradient(x - radius/3, y - radius/3, radius/4, x, y, radius);
-  gradient.addColorStop(0, 'rgba(255,255,255,0.9)'); gradient.addColorStop(1, 'rgba(62,226,255,0.2)'); ctx.fillStyle = gradient;
-  ctx.beginPath(); ctx.arc(x, y, radius, 0, Math.PI*2); ctx.fill(); ctx.lineWidth = 2; ctx.strokeStyle = drop.chargeMultiple < 0 ? '#3ee2ff' : '#ff8c42'; ctx.stroke(); ctx.restore();
-  ctx.save(); ctx.fillStyle='rgba(255,255,255,0.85)'; ctx.font='12px "Segoe UI"'; ctx.textAlign='center'; ctx.fillText(`${drop.chargeMultiple}e`, x, y - radius - 10); ctx.restore();
+  for (const d of sim.drops) {
+    if (d.lost) continue;
+    const { x, y } = getDropScreenPosition(d); const radius = getDropPixelRadius(d); const selected = d === drop; ctx.save();
+    ctx.globalAlpha = selected ? 1 : 0.7;
+    const gradient = ctx.createRadialGradient(x - radius/3, y - radius/3, radius/4, x, y, radius);
+    gradient.addColorStop(0, 'rgba(255,255,255,0.9)'); gradient.addColorStop(1, 'rgba(62,226,255,0.2)'); ctx.fillStyle = gradient;
+    ctx.beginPath(); ctx.arc(x, y, radius, 0, Math.PI*2); ctx.fill(); ctx.lineWidth = 2; ctx.strokeStyle = labHidesTruth() ? '#d8e6f0' : d.chargeMultiple < 0 ? '#3ee2ff' : '#ff8c42'; ctx.stroke();
+    if (selected && sim.drops.length > 1) { ctx.setLineDash([4, 4]); ctx.strokeStyle = 'rgba(255,255,255,0.7)'; ctx.beginPath(); ctx.arc(x, y, radius + 6, 0, Math.PI*2); ctx.stroke(); }
+    ctx.restore();
+    if (labHidesTruth()) continue;
+    ctx.save(); ctx.fillStyle = selected ? 'rgba(255,255,255,0.85)' : 'rgba(255,255,255,0.55)'; ctx.font='12px "Segoe UI"'; ctx.textAlign='center'; ctx.fillText(`${d.chargeMultiple}e`, x, y - radius - 10); ctx.restore();
+  }
+}
+
+// Eyepiece view: what the experimenter sees through the microscope. The field of view spans the
+// plate gap with the same vertical mapping as the diagram, so reticles and clicks line up.
+function getEyepieceView() { const { width } = getCanvasSize(); const bounds = getPlateBounds(); const scale = (bounds.bottom - bounds.top) / state.plateGapMeters; return { cx: width / 2, cy: (bounds.top + bounds.bottom) / 2, radius: (bounds.bottom - bounds.top) / 2 + 14, scale }; }
+function getEyepieceScreenPosition(d) { const view = getEyepieceView(); const xMeters = (d.x - 0.5) * state.plateGapMeters * 0.8 + microscope.offset(d).dx; return { x: view.cx + xMeters * view.scale, y: getDropScreenPositionFromY(d.y).y }; }
+
+function drawEyepiece() {
+  const { width: w, height: h } = getCanvasSize(); const view = getEyepieceView(); const { cx, cy, radius } = view;
+  ctx.save(); ctx.clearRect(0, 0, w, h); ctx.fillStyle = '#010203'; ctx.fillRect(0, 0, w, h);
+  ctx.beginPath(); ctx.arc(cx, cy, radius, 0, Math.PI*2); ctx.clip();
+  // side illumination: faint scattered glow, brightest on the beam axis and vignetted at the rim
+  const glow = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius); glow.addColorStop(0, 'rgba(40,44,30,0.55)'); glow.addColorStop(0.8, 'rgba(14,16,12,0.6)'); glow.addColorStop(1, 'rgba(0,0,0,0.9)');
+  ctx.fillStyle = glow; ctx.fillRect(cx - radius, cy - radius, radius*2, radius*2);
+  // graticule: major lines every 0.5 mm with 0.1 mm ticks on the vertical scale
+  const mm = view.scale / 1000; ctx.strokeStyle = 'rgba(200,210,190,0.28)'; ctx.lineWidth = 1; ctx.beginPath();
+  for (let k = -20; k <= 20; k++) { const y = cy + k * 0.5 * mm; if (Math.abs(y - cy) > radius) continue; ctx.moveTo(cx - radius, y); ctx.lineTo(cx + radius, y); }
+  ctx.moveTo(cx, cy - radius); ctx.lineTo(cx, cy + radius); ctx.stroke();
+  ctx.beginPath(); for (let k = -100; k <= 100; k++) { const y = cy + k * 0.1 * mm; if (Math.abs(y - cy) > radius) continue; const tick = k % 5 === 0 ? 8 : 4; ctx.moveTo(cx - tick, y); ctx.lineTo(cx + tick, y); } ctx.stroke();
+  if (state.showGrid) { ctx.strokeStyle = 'rgba(200,210,190,0.1)'; ctx.beginPath(); for (let k = -20; k <= 20; k++) { const x = cx + k * 0.5 * mm; if (k === 0 || Math.abs(x - cx) > radius) continue; ctx.moveTo(x, cy - radius); ctx.lineTo(x, cy + radius); } ctx.stroke(); }
+  drawEyepieceDrops(view);
+  ctx.restore();
+  ctx.save(); ctx.strokeStyle = 'rgba(120,130,120,0.6)'; ctx.lineWidth = 3; ctx.beginPath(); ctx.arc(cx, cy, radius, 0, Math.PI*2); ctx.stroke();
+  ctx.font = '11px "Segoe UI"'; ctx.fillStyle = 'rgba(200,210,190,0.6)'; ctx.textAlign = 'left'; ctx.fillText('graticule 0.5 mm / 0.1 mm', cx + radius + 10, cy + radius - 14); ctx.fillText(`focus ${(microscope.focusMeters*1e6).toFixed(0)} µm (wheel)`, cx + radius + 10, cy + radius);
+  ctx.restore();
 }
 
-function drawHUD() { ctx.save(); ctx.font='12px "Segoe UI"'; ctx.fillStyle='rgba(255,255,255,0.6)'; ctx.textAlign='left'; ctx.fillText(`Voltage: ${state.voltageKV.toFixed(1)} kV`, 16, 20); ctx.fillText(`Gap: ${(state.plateGapMeters*1000).toFixed(1)} mm`, 16, 36); ctx.restore(); }
+// Drops are far below the optical resolution, so each images as an Airy spot: a core of fixed
+// size plus a faint first ring. Defocus spreads the same scattered light over a larger disc.
+function drawEyepieceDrops(view) {
+  const corePx = 2.2;
+  for (const d of sim.drops) {
+    if (d.lost) continue;
+    const { x, y } = getEyepieceScreenPosition(d); const blur = microscope.blur(d); const core = corePx * blur;
+    const beam = clamp(1 - Math.pow((x - view.cx) / view.radius, 2) * 0.6, 0.2, 1);
+    const brightness = clamp(Math.pow(labHidesTruth() ? 1 : d.radiusMeters / 0.9e-6, 2) * beam / (blur * blur), 0.03, 1);
+    ctx.save(); ctx.globalCompositeOperation = 'lighter';
+    const spot = ctx.createRadialGradient(x, y, 0, x, y, core * 2.2);
+    spot.addColorStop(0, `rgba(255,250,225,${brightness})`); spot.addColorStop(0.45, `rgba(255,240,200,${brightness * 0.35})`); spot.addColorStop(1, 'rgba(255,240,200,0)');
+    ctx.fillStyle = spot; ctx.beginPath(); ctx.arc(x, y, core * 2.2, 0, Math.PI*2); ctx.fill();
+    if (blur < 1.5) { ctx.strokeStyle = `rgba(255,240,200,${brightness * 0.18})`; ctx.lineWidth = 1; ctx.beginPath(); ctx.arc(x, y, core * 3.3, 0, Math.PI*2); ctx.stroke(); }
+    ctx.restore();
+    if (d === drop && sim.drops.length > 1) { ctx.save(); ctx.setLineDash([3, 4]); ctx.strokeStyle = 'rgba(255,230,120,0.5)'; ctx.beginPath(); ctx.arc(x, y, core * 2.2 + 7, 0, Math.PI*2); ctx.stroke(); ctx.restore(); }
+  }
+}
+
+function setEyepieceView(on) { state.eyepieceView = on; document.body.classList.toggle('eyepiece-view', on); const toggle = document.getElementById('eyepieceToggle'); if (toggle) toggle.checked = on; }
+
+function drawHUD() { ctx.save(); ctx.font='12px "Segoe UI"'; ctx.fillStyle='rgba(255,255,255,0.6)'; ctx.textAlign='left'; ctx.fillText(`Voltage: ${sim.voltage().toFixed(state.waveform.enabled ? 2 : 1)} kV${state.waveform.enabled ? ` (${state.waveform.shape})` : ''}`, 16, 20); ctx.fillText(`Gap: ${(state.plateGapMeters*1000).toFixed(1)} mm`, 16, 36); if (sim.drops.length > 1) ctx.fillText(`Drop ${sim.selected + 1} of ${sim.drops.length}`, 16, 52); if (drop.stuck || drop.lost) { ctx.fillStyle = 'rgba(255,200,120,0.85)'; ctx.fillText(`Selected drop ${drop.lost ? 'lost' : 'stuck'} on the ${drop.y > 0 ? 'bottom' : 'top'} plate — New drop to continue`, 16, sim.drops.length > 1 ? 68 : 52); } ctx.restore(); }
+
+// Measurement reticles: two dashed graticule lines plus the running stopwatch
+function getReticleScreenY(frac) { const bounds = getPlateBounds(); return bounds.top + frac * (bounds.bottom - bounds.top); }
+function drawReticles() {
+  if (!state.measureMode) return;
+  const { width: w } = getCanvasSize(); ctx.save(); ctx.lineWidth = 1.5; ctx.setLineDash([8, 6]); ctx.font='11px "Segoe UI"';
+  [['upper', 'A'], ['lower', 'B']].forEach(([key, label]) => { const y = getReticleScreenY(stopwatch[key]); const hot = draggingReticle === key; ctx.strokeStyle = hot ? 'rgba(255,230,120,0.95)' : 'rgba(255,230,120,0.6)'; ctx.beginPath(); ctx.moveTo(60, y); ctx.lineTo(w - 60, y); ctx.stroke(); ctx.fillStyle = 'rgba(255,230,120,0.85)'; ctx.textAlign = 'right'; ctx.fillText(label, w - 44, y + 4); });
+  ctx.setLineDash([]); ctx.textAlign = 'right'; ctx.fillStyle = 'rgba(255,255,255,0.75)'; ctx.font='12px "Segoe UI"';
+  const distanceMm = (stopwatch.lower - stopwatch.upper) * state.plateGapMeters * 1000; ctx.fillText(`A→B: ${distanceMm.toFixed(2)} mm`, w - 16, 20);
+  if (stopwatch.active) ctx.fillText(`⏱ ${stopwatch.elapsed(sim.time).toFixed(2)} s (${stopwatch.active.kind})`, w - 16, 36);
+  ctx.restore();
+}
+function findReticleAt(y) { if (!state.measureMode) return null; const hits = ['upper', 'lower'].map(key => ({ key, dist: Math.abs(y - getReticleScreenY(stopwatch[key])) })).filter(h => h.dist <= 8); hits.sort((a, b) => a.dist - b.dist); return hits.length ? hits[0].key : null; }
+function dragReticle(y) { const bounds = getPlateBounds(); const frac = clamp((y - bounds.top) / Math.max(bounds.bottom - bounds.top, 1), 0, 1); const other = draggingReticle === 'upper' ? stopwatch.lower : stopwatch.upper; if (draggingReticle === 'upper') stopwatch.setLines(Math.min(frac, other - 0.02), other); else stopwatch.setLines(other, Math.max(frac, other + 0.02)); }
+
+// Balance hold: target line on the chamber plus the settled-voltage readout
+function drawHoldTarget() {
+  if (!hold.enabled) return;
+  const { width: w } = getCanvasSize(); const y = getReticleScreenY(hold.targetFraction); ctx.save(); ctx.strokeStyle = 'rgba(120,255,170,0.6)'; ctx.lineWidth = 1; ctx.setLineDash([2, 4]); ctx.beginPath(); ctx.moveTo(60, y); ctx.lineTo(w - 60, y); ctx.stroke();
+  ctx.setLineDash([]); ctx.fillStyle = 'rgba(120,255,170,0.8)'; ctx.font='11px "Segoe UI"'; ctx.textAlign = 'left'; ctx.fillText('hold', 64, y - 4); ctx.restore();
+}
+function setHoldEnabled(on) { if (on) { hold.enable(); if (state.waveform.enabled) setWaveformEnabled(false); } else hold.disable(); const toggle = document.getElementById('holdToggle'); if (toggle) toggle.checked = on; syncHoldReadout(); }
+function syncHoldReadout() {
+  const el = document.getElementById('holdReadout'); if (!el) return;
+  if (!hold.enabled) { el.textContent = hold.settledVoltage !== null ? `Off · last settled at ${hold.settledVoltage.toFixed(3)} kV` : 'Off'; return; }
+  if (hold.direction(sim) === 0) { el.textContent = 'Cannot hold: field is off or the drop is neutral'; return; }
+  if (hold.saturated) { el.textContent = `Saturated at ${hold.output.toFixed(2)} kV: the field cannot balance this drop (try Pulse or another drop)`; return; }
+  el.textContent = hold.settled ? `Settled at ${hold.settledVoltage.toFixed(3)} kV` : `Settling… ${state.voltageKV.toFixed(3)} kV`;
+}
+function syncHeldVoltage() { if (!hold.enabled) return; updateRange('voltageControl', state.voltageKV, null, 1, 'voltageNumber'); syncHoldReadout(); }
+
+// Chamber gas: re-derive viscosity, density and mean free path, then the drag of every drop
+function updateEnvironment() { applyEnvironment(state); sim.recompute(); syncEnvironmentControls(); sampleInstantHistory(); }
+function syncEnvironmentControls() {
+  const gasSelect = document.getElementById('gasSelect'); if (gasSelect) gasSelect.value = state.gas;
+  const toggle = document.getElementById('sutherlandToggle'); if (toggle) toggle.checked = !state.manualViscosity;
+  updateRange('pressureControl', state.pressurePa/1000, null, 1, 'pressureNumber'); updateRange('viscosityControl', state.viscosity/1e-5, null, 2, 'viscosityNumber');
+  const readout = document.getElementById('gasReadout'); if (!readout) return;
+  readout.textContent = `${GASES[state.gas].label}: η ${(state.viscosity*1e5).toFixed(3)}×10⁻⁵ Pa·s · ρ ${state.gasDensity.toFixed(3)} kg/m³ · mean free path ${(state.meanFreePath*1e9).toFixed(0)} nm`;
+}
+
+// Voltage waveform: replaces the slider voltage while it runs; phase restarts when switched on
+function setWaveformEnabled(on) { state.waveform.enabled = on; if (on) { state.waveform.startTime = sim.time; if (hold.enabled) setHoldEnabled(false); } const toggle = document.getElementById('waveformToggle'); if (toggle) toggle.checked = on; sampleInstantHistory(); }
+function syncWaveformControls() { const w = state.waveform; const shape = document.getElementById('waveformShape'); if (shape) shape.value = w.shape; [['waveAmplitude', w.amplitudeKV], ['waveOffset', w.offsetKV], ['wavePeriod', w.periodS], ['waveDuty', Math.round(w.duty * 100)]].forEach(([id, value]) => { const el = document.getElementById(id); if (el) el.value = value; }); const toggle = document.getElementById('waveformToggle'); if (toggle) toggle.checked = w.enabled; }
+
+// Timing: feed the selected drop into the stopwatch and list completed runs
+function trackStopwatch(E) { if (!state.measureMode || !state.running) return; const record = stopwatch.sample(sim.time, drop.y / state.plateGapMeters, { gapMeters: state.plateGapMeters, fieldOn: E !== 0, voltageKV: Math.abs(sim.voltage()), dropId: drop.id }); if (record) renderTimingTable(); }
+function renderTimingTable() {
+  const body = document.getElementById('timingTableBody'); if (!body) return; body.replaceChildren();
+  stopwatch.results.forEach((r, index) => { const row = document.createElement('tr'); [index + 1, r.kind, r.duration.toFixed(3), (r.distanceMeters*1000).toFixed(3), (r.velocity*1000).toFixed(4), r.fieldOn ? `${r.voltageKV.toFixed(2)} kV` : 'off'].forEach(value => { const cell = document.createElement('td'); cell.textContent = value; row.appendChild(cell); }); body.appendChild(row); });
+  const mean = (kind) => { const list = stopwatch.results.filter(r => r.kind === kind); return list.length ? list.reduce((sum, r) => sum + r.velocity, 0) / list.length : null; };
+  const fall = mean('fall'), rise = mean('rise'); const summary = document.getElementById('timingSummary');
+  if (summary) summary.textContent = stopwatch.results.length ? `Mean fall ${fall === null ? '—' : `${(fall*1000).toFixed(4)} mm/s`} · mean rise ${rise === null ? '—' : `${(rise*1000).toFixed(4)} mm/s`}` : 'No timed runs yet.';
+}
+// Charge analysis: turn the selected drop's timings into a measured drop, then fit e
+function meanVelocity(list) { return list.length ? list.reduce((sum, r) => sum + r.velocity, 0) / list.length : null; }
+function setAnalysisStatus(text) { const el = document.getElementById('analysisStatus'); if (el) el.textContent = text; }
+function addAnalysisDrop(method) {
+  const mine = stopwatch.results.filter(r => r.dropId === drop.id); const fallVelocity = meanVelocity(mine.filter(r => r.kind === 'fall' && !r.fieldOn));
+  if (fallVelocity === null) { setAnalysisStatus('Time at least one fall of the selected drop with the field off first.'); return; }
+  let measurement;
+  if (method === 'balance') {
+    if (!state.fieldEnabled || state.voltageKV <= 0) { setAnalysisStatus('Switch the field on and adjust the voltage until the drop hovers, then add it.'); return; }
+    measurement = { method, fallVelocity, voltageKV: state.voltageKV, gapMeters: state.plateGapMeters };
+  } else {
+    const rises = mine.filter(r => r.kind === 'rise' && r.fieldOn); if (!rises.length) { setAnalysisStatus('Time at least one rise of the selected drop with the field on first.'); return; }
+    const voltageKV = rises[rises.length - 1].voltageKV; const sameVoltage = rises.filter(r => r.voltageKV === voltageKV);
+    measurement = { method, fallVelocity, riseVelocity: meanVelocity(sameVoltage), voltageKV, gapMeters: state.plateGapMeters };
+  }
+  const estimate = estimateDrop(measurement, state); if (!estimate) { setAnalysisStatus('Could not estimate this drop from the measurements.'); return; }
+  analysisDrops.push({ ...measurement, estimate }); setAnalysisStatus(`Added drop ${analysisDrops.length} (${method}).`); renderAnalysis();
+}
+function renderAnalysis() {
+  const body = document.getElementById('analysisTableBody'); const methodSelect = document.getElementById('fitMethod');
+  const fit = fitElementaryCharge(analysisDrops.map(d => d.estimate.chargeCoulombs), { method: methodSelect ? methodSelect.value : 'gcd' });
+  if (body) { body.replaceChildren(); analysisDrops.forEach((d, index) => { const row = document.createElement('tr'); const n = fit ? fit.multiples[index] : null; [index + 1, d.method, (d.fallVelocity*1000).toFixed(4), d.method === 'balance' ? `${d.voltageKV.toFixed(2)} kV` : `${(d.riseVelocity*1000).toFixed(4)} mm/s @ ${d.voltageKV.toFixed(2)} kV`, (d.estimate.radiusMeters*1e6).toFixed(3), (d.estimate.chargeCoulombs/1e-19).toFixed(3), n ?? '—'].forEach(value => { const cell = document.createElement('td'); cell.textContent = value; row.appendChild(cell); }); body.appendChild(row); }); }
+  const readout = document.getElementById('fitReadout');
+  if (readout) readout.textContent = fit ? `e = ${(fit.e/1e-19).toFixed(4)}${fit.uncertainty ? ` ± ${(fit.uncertainty/1e-19).toFixed(4)}` : ''} × 10⁻¹⁹ C from ${fit.count} drop${fit.count === 1 ? '' : 's'} · accepted ${(ELECTRON_CHARGE/1e-19).toFixed(3)} × 10⁻¹⁹ C (${(fit.deviation*100).toFixed(2)} %${fit.sigmas !== null ? `, ${fit.sigmas.toFixed(1)}σ` : ''})` : 'Add measured drops to fit the elementary charge.';
+  drawChargeHistogram(fit);
+}
+// Brownian diffusion: field-off track of the selected drop, MSD against lag and the D fit
+function setDiffusionRunning(on) {
+  if (on) { if (hold.enabled) setHoldEnabled(false); if (state.waveform.enabled) setWaveformEnabled(false); state.fieldEnabled = false; const toggle = document.getElementById('fieldToggle'); if (toggle) toggle.checked = false; diffusion.start(drop); }
+  else diffusion.stop();
+  renderDiffusion();
+}
+let diffusionRenderedAt = 0;
+function trackDiffusion() { if (!diffusion.active) return; const recording = diffusion.capture(sim.time, drop, state); if (!recording || diffusion.samples.length - diffusionRenderedAt >= 20) renderDiffusion(); }
+function renderDiffusion() {
+  diffusionRenderedAt = diffusion.samples.length;
+  const button = document.getElementById('diffusionStartBtn'); if (button) button.textContent = diffusion.active ? 'Stop diffusion run' : 'Start diffusion run';
+  const points = meanSquaredDisplacement(diffusion.samples); const fit = fitDiffusion(points);
+  const status = document.getElementById('diffusionStatus');
+  if (status && !diffusion.samples.length && diffusion.stopReason) status.textContent = `Stopped: ${diffusion.stopReason}. Start with the drop well away from the plates.`;
+  else if (status && diffusion.samples.length) status.textContent = `${diffusion.active ? 'Recording' : `Stopped${diffusion.stopReason && diffusion.stopReason !== 'stopped' ? ` (${diffusion.stopReason})` : ''}`}: ${diffusion.samples.length} samples over ${diffusion.duration().toFixed(1)} s.`;
+  const readout = document.getElementById('diffusionReadout');
+  const estimate = fit ? diffusionEstimates(fit.D, drop, state) : null;
+  if (readout) {
+    if (!fit) readout.textContent = diffusion.samples.length ? 'Keep recording: the fit needs a few seconds of track.' : '';
+    else {
+      const parts = [`D = (${(fit.D*1e12).toFixed(2)} ± ${(fit.uncertainty*1e12).toFixed(2)})×10⁻¹² m²/s`, `radius from D: ${(estimate.radiusMeters*1e6).toFixed(3)} µm`];
+      if (!labHidesTruth()) {
+        parts.splice(1, 0, `expected k T / drag: ${(estimate.expectedD*1e12).toFixed(2)}×10⁻¹² m²/s`, `k_B = ${(estimate.boltzmann*1e23).toFixed(3)}×10⁻²³ J/K (accepted ${(BOLTZMANN*1e23).toFixed(3)}, ${(((estimate.boltzmann - BOLTZMANN) / BOLTZMANN) * 100).toFixed(1)} %)`);
+        parts.push(`true radius ${(drop.radiusMeters*1e6).toFixed(3)} µm`);
+      }
+      if (state.noiseBoost !== 1) parts.push(`Brownian boost ${state.noiseBoost.toFixed(2)} enters as T × boost²`);
+      readout.textContent = parts.join(' · ');
+    }
+  }
+  drawDiffusionPlot(points, fit, estimate);
+}
+function drawDiffusionPlot(points, fit, estimate) {
+  if (!diffusionCtx || !diffusionCanvas) return;
+  const ratio = window.devicePixelRatio || 1; const width = diffusionCanvas.width / ratio; const height = diffusionCanvas.height / ratio; const pad = { left: 48, right: 12, top: 12, bottom: 26 };
+  diffusionCtx.save(); diffusionCtx.setTransform(1, 0, 0, 1, 0, 0); diffusionCtx.scale(ratio, ratio); diffusionCtx.clearRect(0, 0, width, height);
+  diffusionCtx.fillStyle = 'rgba(5,8,14,0.92)'; diffusionCtx.fillRect(0, 0, width, height);
+  if (!points.length) { diffusionCtx.fillStyle='rgba(255,255,255,0.45)'; diffusionCtx.font='12px "Segoe UI"'; diffusionCtx.fillText('Mean-squared displacement appears once a diffusion run has a few seconds of track', 12, height/2); diffusionCtx.restore(); return; }
+  const plotW = width - pad.left - pad.right; const plotH = height - pad.top - pad.bottom;
+  const maxLag = points[points.length - 1].lag * 1.05; const lines = [fit && fit.D, estimate && !labHidesTruth() && estimate.expectedD].filter(D => D > 0);
+  const maxMsd = Math.max(...points.map(p => p.msd), ...lines.map(D => 2 * D * maxLag)) * 1.1 || 1;
+  const xOf = (tau) => pad.left + (tau / maxLag) * plotW; const yOf = (msd) => pad.top + plotH - (msd / maxMsd) * plotH;
+  diffusionCtx.strokeStyle = 'rgba(255,255,255,0.25)'; diffusionCtx.beginPath(); diffusionCtx.moveTo(pad.left, pad.top); diffusionCtx.lineTo(pad.left, pad.top + plotH); diffusionCtx.lineTo(pad.left + plotW, pad.top + plotH); diffusionCtx.stroke();
+  const drawLine = (D, style, dash) => { diffusionCtx.strokeStyle = style; diffusionCtx.setLineDash(dash); diffusionCtx.beginPath(); diffusionCtx.moveTo(xOf(0), yOf(0)); diffusionCtx.lineTo(xOf(maxLag), yOf(2 * D * maxLag)); diffusionCtx.stroke(); diffusionCtx.setLineDash([]); };
+  if (estimate && !labHidesTruth()) drawLine(estimate.expectedD, 'rgba(255,230,120,0.6)', [4, 4]);
+  if (fit) drawLine(fit.D, 'rgba(62,226,255,0.85)', []);
+  diffusionCtx.fillStyle = 'rgba(255,140,66,0.9)'; points.forEach(p => { diffusionCtx.beginPath(); diffusionCtx.arc(xOf(p.lag), yOf(p.msd), 3, 0, Math.PI*2); diffusionCtx.fill(); });
+  diffusionCtx.fillStyle = 'rgba(255,255,255,0.65)'; diffusionCtx.font = '11px "Segoe UI"'; diffusionCtx.textAlign = 'center';
+  diffusionCtx.fillText(`lag τ (s), 0 – ${maxLag.toFixed(2)}`, pad.left + plotW / 2, height - 8);
+  diffusionCtx.textAlign = 'left'; diffusionCtx.fillText(`${(maxMsd*1e12).toFixed(2)} µm²`, 4, pad.top + 8); diffusionCtx.fillText('MSD', 4, pad.top + plotH / 2);
+  diffusionCtx.textAlign = 'right'; diffusionCtx.fillStyle = 'rgba(62,226,255,0.85)'; diffusionCtx.fillText('fit 2Dτ', width - 16, pad.top + 10); if (estimate && !labHidesTruth()) { diffusionCtx.fillStyle = 'rgba(255,230,120,0.8)'; diffusionCtx.fillText('expected 2kTτ/drag', width - 16, pad.top + 24); }
+  diffusionCtx.restore();
+}
+
+function resizeAnalysisCanvas() { if (!analysisCanvas || !analysisCtx) return; const ratio = window.devicePixelRatio || 1; const width = analysisCanvas.clientWidth || analysisCanvas.width; const height = analysisCanvas.clientHeight || analysisCanvas.height; analysisCanvas.width = Math.floor(width * ratio); analysisCanvas.height = Math.floor(height * ratio); analysisCanvas.style.width = `${width}px`; analysisCanvas.style.height = `${height}px`; if (diffusionCanvas && diffusionCtx) { const w = diffusionCanvas.clientWidth || diffusionCanvas.width; const h = diffusionCanvas.clientHeight || diffusionCanvas.height; diffusionCanvas.width = Math.floor(w * ratio); diffusionCanvas.height = Math.floor(h * ratio); diffusionCanvas.style.width = `${w}px`; diffusionCanvas.style.height = `${h}px`; } }
+function drawChargeHistogram(fit) {
+  if (!analysisCtx || !analysisCanvas) return;
+  const ratio = window.devicePixelRatio || 1; const width = analysisCanvas.width / ratio; const height = analysisCanvas.height / ratio; const pad = { left: 36, right: 12, top: 12, bottom: 24 };
+  analysisCtx.save(); analysisCtx.setTransform(1, 0, 0, 1, 0, 0); analysisCtx.scale(ratio, ratio); analysisCtx.clearRect(0, 0, width, height);
+  analysisCtx.fillStyle = 'rgba(5,8,14,0.92)'; analysisCtx.fillRect(0, 0, width, height);
+  const hist = chargeHistogram(analysisDrops.map(d => d.estimate.chargeCoulombs));
+  if (!hist.bins.length) { analysisCtx.fillStyle='rgba(255,255,255,0.45)'; analysisCtx.font='12px "Segoe UI"'; analysisCtx.fillText('Charge histogram appears once drops are added', 12, height/2); analysisCtx.restore(); return; }
+  const plotW = width - pad.left - pad.right; const plotH = height - pad.top - pad.bottom; const maxQ = hist.bins.length * hist.width; const maxCount = Math.max(...hist.bins);
+  const xOf = (q) => pad.left + (q / maxQ) * plotW;
+  if (fit) { analysisCtx.strokeStyle = 'rgba(255,230,120,0.45)'; analysisCtx.setLineDash([4, 4]); analysisCtx.beginPath(); for (let q = fit.e; q < maxQ; q += fit.e) { analysisCtx.moveTo(xOf(q), pad.top); analysisCtx.lineTo(xOf(q), pad.top + plotH); } analysisCtx.stroke(); analysisCtx.setLineDash([]); }
+  analysisCtx.fillStyle = 'rgba(255,140,66,0.85)'; hist.bins.forEach((count, i) => { if (!count) return; const h = (count / maxCount) * plotH; analysisCtx.fillRect(xOf(i * hist.width) + 1, pad.top + plotH - h, Math.max(1, xOf(hist.width) - pad.left - 2), h); });
+  analysisCtx.strokeStyle = 'rgba(255,255,255,0.25)'; analysisCtx.beginPath(); analysisCtx.moveTo(pad.left, pad.top + plotH); analysisCtx.lineTo(pad.left + plotW, pad.top + plotH); analysisCtx.stroke();
+  analysisCtx.fillStyle = 'rgba(255,255,255,0.65)'; analysisCtx.font = '11px "Segoe UI"'; analysisCtx.textAlign = 'center';
+  const tickStep = Math.max(1, Math.ceil(maxQ / 1e-19 / 12)); for (let t = 0; t * 1e-19 <= maxQ; t += tickStep) analysisCtx.fillText(`${t}`, xOf(t * 1e-19), height - 8);
+  analysisCtx.textAlign = 'left'; analysisCtx.fillText('q (10⁻¹⁹ C)', pad.left + plotW - 64, pad.top + 8); analysisCtx.fillText(`${maxCount}`, 8, pad.top + 8);
+  analysisCtx.restore();
+}
+
+// Student lab: hide the drop's charge/radius and derived readouts until an answer is submitted
+function labHidesTruth() { return lab.active && !lab.result; }
+function syncLabVisibility() {
+  const level = LAB_DIFFICULTIES[lab.difficulty]; document.body.classList.toggle('lab-hidden', labHidesTruth()); document.body.classList.toggle('lab-no-analysis', lab.active && !lab.result && !level.analysis);
+  const panel = document.getElementById('labPanel'); if (panel) panel.hidden = !lab.active; const toggle = document.getElementById('labToggle'); if (toggle) { toggle.checked = lab.active; toggle.disabled = lab.locked; }
+  const select = document.getElementById('labDifficulty'); if (select) { select.value = lab.difficulty; select.disabled = lab.locked; }
+}
+function startLabRound() {
+  const setup = labDropSetup(sim.dropRandom, lab.difficulty); sim.setDrops([createDrop(state)]); trails.clear(); selectDrop(0);
+  state.noiseBoost = setup.noiseBoost; updateRange('noiseControl', state.noiseBoost, null, 2, 'noiseNumber');
+  setChargeMultiple(setup.chargeMultiple); setRadiusMicrons(setup.radiusMicrons, { preserveVelocity:false }); setPlateGap(setup.gapMm, { preservePosition:false, syncControl:true });
+  lab.truth = { chargeMultiple: drop.chargeMultiple, radiusMicrons: state.radiusMicrons }; lab.result = null;
+  stopwatch.clear(); renderTimingTable(); analysisDrops.length = 0; renderAnalysis(); clearHistory(); sampleInstantHistory();
+  ['labChargeAnswer', 'labRadiusAnswer'].forEach(id => { const el = document.getElementById(id); if (el) el.value = ''; });
+  renderLabResult(); syncLabVisibility();
+}
+function setLabMode(on, difficulty = lab.difficulty) { lab.difficulty = resolveDifficulty(difficulty); lab.active = on; lab.result = null; if (on) startLabRound(); else syncLabVisibility(); renderLabResult(); }
+function submitLabAnswer() {
+  if (!lab.active || !lab.truth || lab.result) return;
+  const answer = { chargeMultiple: parseFloat(document.getElementById('labChargeAnswer').value), radiusMicrons: parseFloat(document.getElementById('labRadiusAnswer').value) };
+  lab.truth.chargeMultiple = drop.chargeMultiple; // the ionizer may have changed it since the round began
+  lab.result = scoreLabAnswer(lab.truth, answer, lab.difficulty); renderLabResult(); syncLabVisibility();
+}
+function renderLabResult() {
+  const el = document.getElementById('labResult'); if (!el) return; el.replaceChildren();
+  const line = (text, className) => { const p = document.createElement('p'); p.textContent = text; if (className) p.className = className; el.appendChild(p); };
+  if (!lab.active) return;
+  if (!lab.result) { line(`${LAB_DIFFICULTIES[lab.difficulty].label} round · seed ${sim.seed}. Submit when you are confident.`); return; }
+  const { charge, radius, total } = lab.result; const pct = (x) => `${Math.round(x * 100)}%`;
+  line(`Score: ${total} / 100`, 'lab-score');
+  line(`Charge: you said ${charge.answer === null ? '—' : `${charge.answer} e`}, true value ${charge.truth} e (${(charge.truth * ELECTRON_CHARGE).toExponential(3)} C) · ${pct(charge.score)}`);
+  line(`Radius: you said ${radius.answer === null ? '—' : `${radius.answer} µm`}, true value ${radius.truth.toFixed(2)} µm${radius.error !== undefined ? ` (${(radius.error * 100).toFixed(1)} % off)` : ''} · ${pct(radius.score)}`);
+}
+function readLabFromUrl() { const params = new URLSearchParams(window.location.search); const flag = params.get('lab'); const difficulty = params.get('difficulty'); if ((flag === null || flag === '0' || flag === 'false') && difficulty === null) return null; return { difficulty: resolveDifficulty(difficulty) }; }
+
+function setMeasureMode(on) { state.measureMode = on; stopwatch.reset(); const panel = document.getElementById('measurePanel'); if (panel) panel.hidden = !on; const toggle = document.getElementById('measureToggle'); if (toggle) toggle.checked = on; renderTimingTable(); }
 
 function resizeCanvas() { const ratio = window.devicePixelRatio || 1; const width = canvas.clientWidth || canvas.width; const height = canvas.clientHeight || canvas.height; canvas.width = Math.floor(width * ratio); canvas.height = Math.floor(height * ratio); canvas.style.width = `${width}px`; canvas.style.height = `${height}px`; ctx.setTransform(1, 0, 0, 1, 0, 0); ctx.scale(ratio, ratio); }
 
@@ -268,32 +461,146 @@ function syncRunIndicator() { const playButton = document.getElementById('playPa
 
 // History graph
 function resizeHistoryCanvas() { if (!historyCanvas || !historyCtx) return; const ratio = window.devicePixelRatio || 1; const width = historyCanvas.clientWidth || historyCanvas.width; const height = historyCanvas.clientHeight || historyCanvas.height; historyCanvas.width = Math.floor(width * ratio); historyCanvas.height = Math.floor(height * ratio); historyCanvas.style.width = `${width}px`; historyCanvas.style.height = `${height}px`; historyCtx.setTransform(1, 0, 0, 1, 0, 0); historyCtx.scale(ratio, ratio); }
-function captureHistorySample(dt, electricField, force=false) { if (!historyCtx) return; historyAccumulator += dt; if (!force && historyAccumulator < HISTORY_SAMPLE_INTERVAL) return; const now = performance.now() / 1000; const heightNorm = state.plateGapMeters > 0 ? clamp(drop.y / state.plateGapMeters, 0, 1) : 0; historySamples.push({ t: now, height: heightNorm, velocity: drop.velocity, field: electricField }); const cutoff = now - HISTORY_WINDOW_SECONDS; while (historySamples.length && historySamples[0].t < cutoff) historySamples.shift(); historyAccumulator = 0; }
-function sampleInstantHistory() { captureHistorySample(0, computeElectricField(), true); }
+function captureHistorySample(dt, electricField, force=false) { if (!historyCtx) return; historyAccumulator += dt; if (!force && historyAccumulator < HISTORY_SAMPLE_INTERVAL) return; historySamples.push({ t: sim.time, y: drop.y, velocity: drop.velocity, field: electricField, voltage: state.fieldEnabled ? sim.voltage() * state.fieldPolarity : 0, chargeMultiple: drop.chargeMultiple, gapMeters: state.plateGapMeters }); if (historySamples.length > HISTORY_MAX_SAMPLES + 1000) historySamples.splice(0, 1000); historyAccumulator = 0; }
+function clearHistory() { historySamples.length = 0; historyView.cursors = []; historyView.dragging = null; syncHistoryCursorReadout(); }
+function sampleInstantHistory() { const E = sim.field(); captureHistorySample(0, E, true); recordRunSample(E, true); }
+
+// History graph view: time window, plot area and the time under a canvas x coordinate
+function historyWindow() { const end = historyView.live ? sim.time : historyView.end; return { t0: end - historyView.span, t1: end }; }
+function historyPlotArea() { const ratio = window.devicePixelRatio || 1; const width = historyCanvas.width / ratio; const height = historyCanvas.height / ratio; return { width, height, left: 58, right: width - 10, top: 8, bottom: height - 22 }; }
+function historyTimeAt(x) { const area = historyPlotArea(); const { t0, t1 } = historyWindow(); return t0 + clamp((x - area.left) / (area.right - area.left), 0, 1) * (t1 - t0); }
+function historyCursorTimeAt(x) { const { first, last } = historyExtent(); return clamp(historyTimeAt(x), first, last); }
+function historyExtent() { return historySamples.length ? { first: historySamples[0].t, last: historySamples[historySamples.length - 1].t } : { first: sim.time, last: sim.time }; }
+function activeHistoryTraces() { return Object.keys(HISTORY_TRACES).filter(key => historyView.traces.has(key) && !(HISTORY_TRACES[key].hidesTruth && labHidesTruth())); }
+function setHistoryLive(on) { historyView.live = on; if (!on) historyView.end = sim.time; const toggle = document.getElementById('historyLiveToggle'); if (toggle) toggle.checked = on; syncHistoryScroll(); }
+function setHistoryEnd(end) { const { first, last } = historyExtent(); historyView.end = clamp(end, Math.min(first + historyView.span, last), last); syncHistoryScroll(); }
+function syncHistoryScroll() { const slider = document.getElementById('historyScroll'); if (!slider) return; const { first, last } = historyExtent(); const room = last - first - historyView.span; slider.value = historyView.live || room <= 0 ? 1000 : Math.round(clamp((historyView.end - first - historyView.span) / room, 0, 1) * 1000); }
+function zoomHistory(factor, anchorTime) {
+  const { first, last } = historyExtent(); const { t0, t1 } = historyWindow(); const span = clamp(historyView.span * factor, HISTORY_MIN_SPAN, Math.max(HISTORY_WINDOW_SECONDS, last - first));
+  const frac = (anchorTime - t0) / (t1 - t0); historyView.span = span; if (!historyView.live) setHistoryEnd(anchorTime + (1 - frac) * span);
+}
+function placeHistoryCursor(time) { const cursors = historyView.cursors; if (cursors.length < 2) { cursors.push(time); historyView.dragging = cursors.length - 1; } else { historyView.dragging = Math.abs(cursors[0] - time) <= Math.abs(cursors[1] - time) ? 0 : 1; cursors[historyView.dragging] = time; } syncHistoryCursorReadout(); }
+function syncHistoryCursorReadout() {
+  const el = document.getElementById('historyCursorReadout'); if (!el) return; const [a, b] = historyView.cursors;
+  if (a === undefined) { el.textContent = 'Click the graph to place cursor A, then B; drag to move them.'; return; }
+  if (b === undefined) { el.textContent = `A ${a.toFixed(2)} s · click again for cursor B`; return; }
+  const [tA, tB] = a <= b ? [a, b] : [b, a]; const reading = cursorReadout(historySamples, tA, tB); if (!reading) { el.textContent = ''; return; }
+  el.textContent = `A ${tA.toFixed(2)} s · B ${tB.toFixed(2)} s · Δt ${reading.dt.toFixed(3)} s · Δy ${(reading.dy*1000).toFixed(4)} mm · average velocity ${reading.averageVelocity === null ? '—' : `${(reading.averageVelocity*1000).toFixed(4)} mm/s`} (+ down)`;
+}
+
 function drawHistoryGraph() {
   if (!historyCtx || !historyCanvas) return;
-  const ratio = window.devicePixelRatio || 1; const width = historyCanvas.width / ratio; const height = historyCanvas.height / ratio;
+  const ratio = window.devicePixelRatio || 1; const area = historyPlotArea(); const { width, height } = area;
   historyCtx.save(); historyCtx.setTransform(1, 0, 0, 1, 0, 0); historyCtx.scale(ratio, ratio); historyCtx.clearRect(0, 0, width, height);
   historyCtx.fillStyle = 'rgba(5,8,14,0.92)'; historyCtx.fillRect(0, 0, width, height);
-  historyCtx.strokeStyle = 'rgba(255,255,255,0.08)'; historyCtx.lineWidth = 1; historyCtx.beginPath(); for (let i=1;i<=3;i++){ const y=(height/4)*i; historyCtx.moveTo(0,y); historyCtx.lineTo(width,y); } historyCtx.stroke();
-  if (historySamples.length >= 2) {
-    const now = performance.now()/1000; historyCtx.lineWidth = 2; historyCtx.strokeStyle = '#3ee2ff'; historyCtx.beginPath(); historySamples.forEach((sample, index) => { const age = clamp((now - sample.t) / HISTORY_WINDOW_SECONDS, 0, 1); const x = width * (1 - age); const y = 8 + (1 - sample.height) * (height - 16); if (index === 0) historyCtx.moveTo(x, y); else historyCtx.lineTo(x, y); }); historyCtx.stroke();
-    historyCtx.strokeStyle = 'rgba(255,140,66,0.9)'; historyCtx.beginPath(); historySamples.forEach((sample, index) => { const age = clamp((now - sample.t) / HISTORY_WINDOW_SECONDS, 0, 1); const x = width * (1 - age); const velocityNorm = clamp(sample.velocity / BASE_MAX_SPEED, -1, 1); const y = height/2 - velocityNorm * (height/2 - 12); if (index === 0) historyCtx.moveTo(x,y); else historyCtx.lineTo(x,y); }); historyCtx.stroke();
-  } else { historyCtx.fillStyle='rgba(255,255,255,0.45)'; historyCtx.font='12px "Segoe UI"'; historyCtx.fillText('Graph warms up once the sim runs', 12, height/2); }
-  historyCtx.fillStyle='rgba(255,255,255,0.65)'; historyCtx.font='11px "Segoe UI"'; historyCtx.fillText('height', 12, 16); historyCtx.fillText('velocity', 12, 30);
+  const { t0, t1 } = historyWindow(); const xOf = (t) => area.left + ((t - t0) / (t1 - t0)) * (area.right - area.left);
+  historyCtx.font = '10px "Segoe UI"'; historyCtx.lineWidth = 1;
+  const timeAxis = niceTicks(t0, t1, 6); historyCtx.strokeStyle = 'rgba(255,255,255,0.06)'; historyCtx.fillStyle = 'rgba(255,255,255,0.55)'; historyCtx.textAlign = 'center'; historyCtx.beginPath();
+  timeAxis.ticks.forEach(t => { if (t < t0 || t > t1) return; const x = xOf(t); historyCtx.moveTo(x, area.top); historyCtx.lineTo(x, area.bottom); historyCtx.fillText(t.toFixed(timeAxis.decimals), x, height - 8); }); historyCtx.stroke();
+  historyCtx.textAlign = 'right'; historyCtx.fillText('t (s)', area.right, height - 8);
+  const traces = activeHistoryTraces(); const visible = visibleRange(historySamples, t0, t1);
+  if (visible.length < 2 || !traces.length) { historyCtx.fillStyle='rgba(255,255,255,0.45)'; historyCtx.font='12px "Segoe UI"'; historyCtx.textAlign = 'left'; historyCtx.fillText(traces.length ? 'Graph warms up once the sim runs' : 'Pick a trace to plot', area.left + 12, height/2); historyCtx.restore(); return; }
+  const stride = Math.max(1, Math.floor(visible.length / (2 * (area.right - area.left)))); const points = visible.filter((_, i) => i % stride === 0 || i === visible.length - 1);
+  const overlay = historyOverlay ? historyOverlay.samples.map(sample => ({ t: recorder.startTime + sample.t, y: sample.y, velocity: sample.velocity, field: sample.field, voltage: sample.voltageKV, chargeMultiple: sample.chargeMultiple })).filter(sample => sample.t >= t0 && sample.t <= Math.min(t1, sim.time)) : [];
+  const laneHeight = (area.bottom - area.top) / traces.length; const lanes = {};
+  traces.forEach((key, index) => {
+    const trace = HISTORY_TRACES[key]; const laneTop = area.top + index * laneHeight; const laneBottom = laneTop + laneHeight - 6;
+    const values = visible.map(trace.value).concat(overlay.map(trace.value)).filter(Number.isFinite);
+    let low = Infinity, high = -Infinity; for (const v of values) { if (v < low) low = v; if (v > high) high = v; } // no spread: a long run overflows the call stack
+    const axis = niceTicks(low, high, laneHeight > 70 ? 3 : 2); const range = axis.max - axis.min || 1;
+    const yOf = (v) => trace.inverted ? laneTop + ((v - axis.min) / range) * (laneBottom - laneTop) : laneBottom - ((v - axis.min) / range) * (laneBottom - laneTop);
+    lanes[key] = { yOf, trace };
+    historyCtx.strokeStyle = 'rgba(255,255,255,0.08)'; historyCtx.fillStyle = 'rgba(255,255,255,0.55)'; historyCtx.textAlign = 'right'; historyCtx.beginPath();
+    axis.ticks.forEach(v => { const y = yOf(v); historyCtx.moveTo(area.left, y); historyCtx.lineTo(area.right, y); historyCtx.fillText(v.toFixed(axis.decimals), area.left - 6, y + 3); }); historyCtx.stroke();
+    historyCtx.strokeStyle = 'rgba(255,255,255,0.2)'; historyCtx.beginPath(); historyCtx.moveTo(area.left, laneTop); historyCtx.lineTo(area.left, laneBottom); historyCtx.stroke();
+    historyCtx.save(); historyCtx.beginPath(); historyCtx.rect(area.left, laneTop - 2, area.right - area.left, laneBottom - laneTop + 4); historyCtx.clip();
+    historyCtx.strokeStyle = trace.color; historyCtx.lineWidth = key === 'height' ? 2 : 1.5; historyCtx.beginPath(); points.forEach((sample, i) => { const x = xOf(sample.t), y = yOf(trace.value(sample)); if (i === 0) historyCtx.moveTo(x, y); else historyCtx.lineTo(x, y); }); historyCtx.stroke();
+    historyCtx.restore();
+    historyCtx.fillStyle = trace.color; historyCtx.textAlign = 'left'; historyCtx.fillText(`${trace.label} (${trace.unit})`, area.left + 6, laneTop + 10);
+  });
+  drawIonEventMarkers(area, xOf, t0, t1);
+  if (overlay.length > 1) drawHistoryOverlay(overlay, lanes, xOf);
+  if (historyOverlay) { historyCtx.fillStyle = 'rgba(255,255,255,0.6)'; historyCtx.textAlign = 'right'; historyCtx.fillText(`dashed: ${historyOverlay.name}`, area.right - 4, area.top + 10); }
+  drawHistoryCursors(area, xOf);
   historyCtx.restore();
 }
 
+// Cursors A and B: vertical lines with the shaded interval between them
+function drawHistoryCursors(area, xOf) {
+  const cursors = historyView.cursors; if (!cursors.length) return;
+  historyCtx.save();
+  if (cursors.length === 2) { const xa = xOf(Math.min(...cursors)), xb = xOf(Math.max(...cursors)); historyCtx.fillStyle = 'rgba(255,230,120,0.06)'; historyCtx.fillRect(xa, area.top, xb - xa, area.bottom - area.top); }
+  historyCtx.strokeStyle = 'rgba(255,230,120,0.8)'; historyCtx.fillStyle = 'rgba(255,230,120,0.9)'; historyCtx.setLineDash([4, 3]); historyCtx.font = '11px "Segoe UI"'; historyCtx.textAlign = 'center';
+  cursors.forEach((t, i) => { const x = xOf(t); if (x < area.left || x > area.right) return; historyCtx.beginPath(); historyCtx.moveTo(x, area.top); historyCtx.lineTo(x, area.bottom); historyCtx.stroke(); historyCtx.fillText(i === 0 ? 'A' : 'B', x, area.top + 10); });
+  historyCtx.restore();
+}
+
+// Ionizer: vertical markers on the history graph for charge jumps of the selected drop
+function drawIonEventMarkers(area, xOf, t0, t1) {
+  const events = ionizer.events.filter(ev => ev.dropId === drop.id && ev.t >= t0 && ev.t <= t1); if (!events.length) return;
+  historyCtx.save(); historyCtx.lineWidth = 1; historyCtx.font = '10px "Segoe UI"'; historyCtx.textAlign = 'center';
+  events.forEach(ev => { const x = xOf(ev.t); historyCtx.strokeStyle = ev.delta > 0 ? 'rgba(255,140,66,0.7)' : 'rgba(62,226,255,0.7)'; historyCtx.beginPath(); historyCtx.moveTo(x, area.top); historyCtx.lineTo(x, area.bottom); historyCtx.stroke(); historyCtx.fillStyle = historyCtx.strokeStyle; historyCtx.fillText(ev.delta > 0 ? '+e' : '−e', x, area.bottom - 2); });
+  historyCtx.restore();
+}
+function handleIonEvent(ev) { if (ev.dropId === drop.id) { setChargeMultiple(drop.chargeMultiple); announce(`Ionizer: charge ${ev.delta > 0 ? '+1' : '−1'} e${labHidesTruth() ? '' : `, now ${ev.chargeMultiple} e`}.`); } appendIonLog(ev); }
+function formatIonEvent(ev) { const index = sim.drops.findIndex(d => d.id === ev.dropId); const who = sim.drops.length > 1 ? ` · drop ${index + 1}` : ''; return `t = ${ev.t.toFixed(2)} s${who} · ${ev.delta > 0 ? '+1e' : '−1e'}${labHidesTruth() ? '' : ` (now ${ev.chargeMultiple}e)`}`; }
+function appendIonLog(ev) { const list = document.getElementById('ionLog'); if (!list) return; const item = document.createElement('li'); item.textContent = formatIonEvent(ev); list.prepend(item); while (list.children.length > 50) list.lastElementChild.remove(); }
+function syncIonizerControls() { const toggle = document.getElementById('ionizerToggle'); if (toggle) toggle.checked = ionizer.enabled; updateRange('ionRateControl', ionizer.rate, null, 2, 'ionRateNumber'); }
+
+// Accessibility: polite live-region announcements and a text description of the selected drop,
+// refreshed once a second for the canvas's aria-describedby
+const DESCRIBE_INTERVAL = 1; // seconds of real time
+function announce(text) { const log = document.getElementById('announcer'); if (!log || !text) return; const item = document.createElement('p'); item.textContent = text; log.prepend(item); while (log.children.length > 5) log.lastElementChild.remove(); }
+function handleContact(ev) { if (ev.dropId === drop.id && contactWatch.contact(ev)) announce(describeContact(ev)); }
+// Average over the last second of history: the instantaneous velocity is mostly Brownian noise
+function observedVelocity(seconds = 1) { if (historySamples.length < 2) return drop.velocity; const last = historySamples[historySamples.length - 1]; const first = historySamples[Math.min(lowerBound(historySamples, last.t - seconds), historySamples.length - 2)]; return (last.y - first.y) / (last.t - first.t); }
+function describeSelectedDrop() { return `${state.running ? '' : 'Paused. '}${describeDrop({ drop, state, velocity: observedVelocity(), voltageKV: sim.voltage() * state.fieldPolarity })}`; }
+function nudgeCharge(delta) { if (lab.active) { announce('Charge is fixed during a lab round.'); return; } setChargeMultiple(drop.chargeMultiple + delta); announce(`Charge ${delta > 0 ? '+1' : '−1'} e, now ${drop.chargeMultiple} e.`); }
+function trackAnnouncements(dt, E) {
+  contactWatch.update(drop, state);
+  if (balanceWatch.update(drop, state, E) === 'balanced' && !hold.enabled) announce(`Drop balanced at ${Math.abs(sim.voltage()).toFixed(2)} kV.`);
+  if (hold.enabled && hold.settled && !a11y.holdSettled) announce(`Balance hold settled at ${hold.settledVoltage.toFixed(3)} kV.`); a11y.holdSettled = hold.enabled && hold.settled;
+  a11y.describeClock += dt; if (a11y.describeClock < DESCRIBE_INTERVAL) return; a11y.describeClock = 0;
+  const el = document.getElementById('dropDescription'); if (el) el.textContent = describeSelectedDrop();
+}
+
+// Imported run (times already shifted onto this run's clock), dashed in the lanes it has data for
+function drawHistoryOverlay(overlay, lanes, xOf) {
+  historyCtx.save(); historyCtx.setLineDash([5, 4]); historyCtx.lineWidth = 1.5;
+  Object.entries(lanes).forEach(([key, { yOf, trace }]) => {
+    const points = overlay.filter(sample => Number.isFinite(trace.value(sample))); if (points.length < 2) return;
+    historyCtx.strokeStyle = trace.color; historyCtx.globalAlpha = 0.6; historyCtx.beginPath(); points.forEach((sample, i) => { const x = xOf(sample.t), y = yOf(trace.value(sample)); if (i === 0) historyCtx.moveTo(x, y); else historyCtx.lineTo(x, y); }); historyCtx.stroke();
+  });
+  historyCtx.restore();
+}
+
+// Run recording & export/import
+function recordRunSample(E, force=false) { if (recorder.capture(sim.time, state, drop, E, force)) syncRecorderStatus(); }
+function syncRecorderStatus() {
+  const button = document.getElementById('recordBtn'); if (button) button.textContent = recorder.recording ? 'Stop recording' : 'Start new recording';
+  const status = document.getElementById('recorderStatus'); if (status) status.textContent = `${recorder.recording ? 'Recording' : 'Stopped'} · ${recorder.duration().toFixed(1)} s, ${recorder.samples.length} samples${recorder.dropped ? ` · first ${recorder.samples[0].t.toFixed(0)} s dropped, export keeps the last ${(HISTORY_MAX_SAMPLES * HISTORY_SAMPLE_INTERVAL / 60).toFixed(0)} min` : ''}${historyOverlay ? ` · overlay: ${historyOverlay.name}` : ''}`;
+}
+function toggleRecording() { if (recorder.recording) recorder.stop(); else { recorder.start(sim.time, { seed: sim.seed }); recordRunSample(sim.field(), true); } syncRecorderStatus(); }
+function downloadText(text, filename, type) { const url = URL.createObjectURL(new Blob([text], { type })); const link = document.createElement('a'); link.href = url; link.download = filename; document.body.appendChild(link); link.click(); link.remove(); setTimeout(() => URL.revokeObjectURL(url), 0); }
+function exportRun(format) {
+  if (!recorder.samples.length) { setRecorderMessage('Nothing recorded yet.'); return; }
+  const meta = recorder.dropped ? { ...recorder.meta, droppedSamples: recorder.dropped } : recorder.meta;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-'); if (format === 'json') downloadText(runToJSON(recorder.samples, meta), `oil-drop-run-${stamp}.json`, 'application/json'); else downloadText(runToCSV(recorder.samples), `oil-drop-run-${stamp}.csv`, 'text/csv');
+}
+function setRecorderMessage(text) { const status = document.getElementById('recorderStatus'); if (status) status.textContent = text; }
+function importRun(file) { if (!file) return; const reader = new FileReader(); reader.onload = () => { try { const run = parseRun(reader.result); historyOverlay = { samples: run.samples, name: file.name }; syncRecorderStatus(); } catch (err) { setRecorderMessage(`Import failed: ${err.message}`); } }; reader.onerror = () => setRecorderMessage('Import failed: the file could not be read.'); reader.readAsText(file); }
+
 function updateReadouts(E) {
   document.getElementById('fieldReadout').textContent = `${(E/1000).toFixed(1)} kV/m`;
+  document.getElementById('velocityReadout').textContent = `${(drop.velocity*1000).toFixed(2)} mm/s`;
+  if (labHidesTruth()) { ['chargeReadout', 'forceReadout', 'terminalReadout', 'multipleReadout', 'balanceReadout', 'slipReadout'].forEach(id => { const el = document.getElementById(id); if (el) el.textContent = '?'; }); return; }
   document.getElementById('chargeReadout').textContent = `${(drop.chargeMultiple).toFixed(0)} e (${drop.chargeCoulombs.toExponential(2)} C)`;
   const gravityForce = drop.mass * state.gravity; const electricForce = drop.chargeCoulombs * E;
   document.getElementById('forceReadout').textContent = `${(gravityForce*1e12).toFixed(2)} pN vs ${(electricForce*1e12).toFixed(2)} pN`;
-  document.getElementById('velocityReadout').textContent = `${(drop.velocity*1000).toFixed(2)} mm/s`;
   const vt = drop.dragCoeff > 0 ? (gravityForce / drop.dragCoeff) : 0; document.getElementById('terminalReadout').textContent = `${(vt*1000).toFixed(2)} mm/s`;
   document.getElementById('multipleReadout').textContent = `${(drop.chargeMultiple).toFixed(1)} × e`;
   const balanceField = drop.chargeCoulombs !== 0 ? gravityForce / drop.chargeCoulombs : null; const balanceEl = document.getElementById('balanceReadout'); if (balanceEl) balanceEl.textContent = balanceField ? `${(balanceField/1000).toFixed(2)} kV/m` : '—';
-  const slipEl = document.getElementById('slipReadout'); if (slipEl) slipEl.textContent = `${(drop.slipFactor || 1).toFixed(3)}`;
+  const slipEl = document.getElementById('slipReadout'); if (slipEl) slipEl.textContent = `${(drop.slipFactor || 1).toFixed(3)} (Kn ${(state.meanFreePath / drop.radiusMeters).toFixed(3)})`;
 }
 
 // UI helpers & wiring
@@ -303,16 +610,69 @@ function updateRange(id, value, outputId, precision=2, numberId) {
 }
 
 function setPlateGap(mmValue, options={}) {
-  const { preservePosition=true, syncControl=false } = options; const previousGap = state.plateGapMeters; const cleanValue = Number.isFinite(mmValue) ? mmValue : previousGap*1000; const meters = clamp(cleanValue/1000, MIN_GAP_METERS, MAX_GAP_METERS); const mmDisplay = meters*1000; state.plateGapMeters = meters; if (syncControl) updateRange('gapControl', mmDisplay, null, 1, 'gapNumber'); if (preservePosition && previousGap>0) { const relative = clamp(drop.y / previousGap,0,1); drop.y = relative * meters; trail.forEach(pt => { const rel = clamp(pt.y / previousGap, 0, 1); pt.y = rel * meters; }); } else { drop.y = meters * 0.35; }
+  const { preservePosition=true, syncControl=false } = options; const previousGap = state.plateGapMeters; const cleanValue = Number.isFinite(mmValue) ? mmValue : previousGap*1000; const meters = clamp(cleanValue/1000, MIN_GAP_METERS, MAX_GAP_METERS); const mmDisplay = meters*1000; state.plateGapMeters = meters; if (syncControl) updateRange('gapControl', mmDisplay, null, 1, 'gapNumber'); if (previousGap>0) { sim.drops.forEach(d => { d.y = clamp(d.y / previousGap,0,1) * meters; }); trails.forEach(trail => trail.forEach(pt => { const rel = clamp(pt.y / previousGap, 0, 1); pt.y = rel * meters; })); } if (!preservePosition || !(previousGap>0)) { drop.y = meters * 0.35; }
 }
 
 function setChargeMultiple(m) { const clamped = Math.round(clamp(m, -25, 25)); drop.chargeMultiple = clamped; drop.chargeCoulombs = clamped * ELECTRON_CHARGE; const cs = document.getElementById('chargeControl'); const cn = document.getElementById('chargeNumber'); if (cs) cs.value = clamped; if (cn) cn.value = clamped; }
-function setRadiusMicrons(microns, options={ preserveVelocity:true }) { const clamped = clamp(microns, 0.3, 1.5); state.radiusMicrons = clamped; recomputeDropCoefficients(); drop.y = clamp(drop.y, 0, state.plateGapMeters); if (!options.preserveVelocity) drop.velocity = 0; }
+function setRadiusMicrons(microns, options={ preserveVelocity:true }) { const clamped = clamp(microns, 0.3, 1.5); state.radiusMicrons = clamped; drop.radiusMeters = clamped * 1e-6; sim.recompute(); drop.y = clamp(drop.y, 0, state.plateGapMeters); if (!options.preserveVelocity) drop.velocity = 0; }
+
+// Drop selection & population: the selected drop drives sliders, readouts and the history graph
+function selectDrop(index) { drop = sim.select(index); state.radiusMicrons = +(drop.radiusMeters * 1e6).toFixed(2); updateRange('radiusControl', state.radiusMicrons, null, 2, 'radiusNumber'); setChargeMultiple(drop.chargeMultiple); clearHistory(); stopwatch.reset(); if (hold.enabled) hold.enable(); sampleInstantHistory(); }
+function spawnPopulation() { sim.populate({ count: state.dropCount, radiusMean: state.radiusMicrons, radiusSpread: state.radiusSpread, chargeMax: state.chargeMax }); trails.clear(); selectDrop(0); }
+function findDropAt(x, y) { let best = null, bestDist = Infinity; sim.drops.forEach((d, index) => { if (d.lost) return; const pos = getDropScreenPosition(d); const dist = Math.hypot(x - pos.x, y - pos.y); if (dist <= getDropPixelRadius(d)*1.5 && dist < bestDist) { best = index; bestDist = dist; } }); return best; }
+
+// Presets: built-in setups, user presets in localStorage and share links. Loading goes through the
+// same setters as the sliders so every derived quantity is rebuilt.
+const presetStorage = (() => { try { return window.localStorage; } catch { return null; } })();
+function applyPreset(preset) {
+  setWaveformEnabled(false); if (hold.enabled) setHoldEnabled(false);
+  sim.setDrops([createDrop(state)]); trails.clear(); selectDrop(0); state.dropCount = 1; updateRange('dropCountControl', 1, null, 0, 'dropCountNumber');
+  state.voltageKV = preset.voltageKV; state.temperatureK = preset.temperatureK; state.noiseBoost = preset.noiseBoost; state.gas = preset.gas; state.pressurePa = preset.pressureKPa * 1000; state.manualViscosity = preset.manualViscosity; if (preset.manualViscosity) state.viscosity = preset.viscosity * 1e-5;
+  state.pulseTimer = 0; state.fieldPolarity = 1; state.fieldEnabled = preset.fieldEnabled; state.showTrail = preset.showTrail; state.showGrid = preset.showGrid;
+  [['fieldToggle', preset.fieldEnabled], ['trailToggle', preset.showTrail], ['gridToggle', preset.showGrid]].forEach(([id, on]) => { const el = document.getElementById(id); if (el) el.checked = on; });
+  setEyepieceView(preset.eyepieceView); if (!lab.active) setMeasureMode(preset.measureMode);
+  updateRange('voltageControl', state.voltageKV, null, 2, 'voltageNumber'); updateRange('temperatureControl', state.temperatureK, null, 0, 'temperatureNumber'); updateRange('noiseControl', state.noiseBoost, null, 2, 'noiseNumber');
+  updateEnvironment();
+  setPlateGap(preset.gapMm, { preservePosition:false, syncControl:true });
+  setChargeMultiple(preset.chargeMultiple); state.radiusMicrons = preset.radiusMicrons; updateRange('radiusControl', state.radiusMicrons, null, 2, 'radiusNumber');
+  resetDrop(false); sampleInstantHistory();
+}
+function renderPresetOptions(selected) {
+  const select = document.getElementById('presetSelect'); if (!select) return; select.replaceChildren();
+  const group = (label, entries) => { if (!entries.length) return; const optgroup = document.createElement('optgroup'); optgroup.label = label; entries.forEach(([value, text]) => { const option = document.createElement('option'); option.value = value; option.textContent = text; optgroup.appendChild(option); }); select.appendChild(optgroup); };
+  group('Built-in', Object.entries(BUILTIN_PRESETS).map(([key, preset]) => [`builtin:${key}`, preset.label]));
+  group('Saved', Object.keys(loadUserPresets(presetStorage)).map(name => [`user:${name}`, name]));
+  if (selected) select.value = selected;
+}
+function selectedPreset() {
+  const value = document.getElementById('presetSelect').value || ''; const [kind, ...rest] = value.split(':'); const name = rest.join(':');
+  if (kind === 'builtin') return BUILTIN_PRESETS[name] ? { name: BUILTIN_PRESETS[name].label, preset: BUILTIN_PRESETS[name] } : null;
+  const preset = loadUserPresets(presetStorage)[name]; return preset ? { name, preset, user: true } : null;
+}
+function setPresetStatus(text) { const el = document.getElementById('presetStatus'); if (el) el.textContent = text; }
+function shareLink() { const base = window.location.href.split(/[?#]/)[0]; return `${base}?${presetToQuery(capturePreset(state, drop), sim.seed)}`; }
+
+// Scripting API: window.millikan drives this simulation from the browser console (sim/api.js).
+// Anything a script changes is pushed back into the controls, and the selection follows sim.drop.
+function syncFromScript() {
+  if (sim.drop !== drop) { trails.clear(); selectDrop(sim.selected); } else setChargeMultiple(drop.chargeMultiple);
+  state.radiusMicrons = +(drop.radiusMeters * 1e6).toFixed(2); updateRange('radiusControl', state.radiusMicrons, null, 2, 'radiusNumber');
+  updateRange('voltageControl', state.voltageKV, null, 2, 'voltageNumber'); updateRange('gapControl', state.plateGapMeters * 1000, null, 1, 'gapNumber'); updateRange('temperatureControl', state.temperatureK, null, 0, 'temperatureNumber'); updateRange('noiseControl', state.noiseBoost, null, 2, 'noiseNumber');
+  [['fieldToggle', state.fieldEnabled], ['speedCapToggle', state.speedCap]].forEach(([id, on]) => { const el = document.getElementById(id); if (el) el.checked = on; });
+  [['integratorSelect', state.integrator], ['plateContactSelect', state.plateContact]].forEach(([id, value]) => { const el = document.getElementById(id); if (el) el.value = value; });
+  const seedInput = document.getElementById('seedInput'); if (seedInput && seedInput.value !== String(sim.seed)) { microscope.reseed(sim.seed); seedInput.value = sim.seed; } // reseeded by the script
+  syncEnvironmentControls(); syncIonizerControls(); syncRunIndicator(); sampleInstantHistory();
+}
+function installScriptingApi() { if (lab.locked) return; window.millikan = createExperiment({ sim, ionizer, onChange: syncFromScript }); }
+
+// Seed handling: reseeding restarts both the noise stream and the mystery-drop sequence
+function applySeed(seed) { const applied = sim.reseed(seed); microscope.reseed(applied); const seedInput = document.getElementById('seedInput'); if (seedInput) seedInput.value = applied; return applied; }
+function readSeedFromUrl() { const raw = new URLSearchParams(window.location.search).get('seed'); return raw === null || raw.trim() === '' ? null : raw.trim(); }
 
 // UI event wiring (sliders, numbers, toggles, buttons)
 function handleUI() {
   // voltage
-  const voltageSlider = document.getElementById('voltageControl'); const voltageNumber = document.getElementById('voltageNumber'); const applyVoltage = (v)=>{ const clamped = clamp(Number(v),0,8); state.voltageKV = clamped; if (voltageSlider) voltageSlider.value = clamped; if (voltageNumber) voltageNumber.value = clamped.toFixed(1); sampleInstantHistory(); };
+  const voltageSlider = document.getElementById('voltageControl'); const voltageNumber = document.getElementById('voltageNumber'); const applyVoltage = (v)=>{ if (hold.enabled) setHoldEnabled(false); const clamped = clamp(Number(v),0,8); state.voltageKV = clamped; if (voltageSlider) voltageSlider.value = clamped; if (voltageNumber) voltageNumber.value = clamped.toFixed(2); sampleInstantHistory(); };
   voltageSlider.addEventListener('input', e=>applyVoltage(e.target.value)); voltageNumber.addEventListener('change', e=>applyVoltage(e.target.value));
 
   // gap
@@ -328,7 +688,7 @@ function handleUI() {
   chargeSlider.addEventListener('input', e=>applyCharge(e.target.value)); chargeNumber.addEventListener('change', e=>applyCharge(e.target.value));
 
   // temperature
-  const tempSlider = document.getElementById('temperatureControl'); const tempNumber = document.getElementById('temperatureNumber'); const applyTemp = (v)=>{ const t=clamp(Number(v),260,330); state.temperatureK = t; if (tempSlider) tempSlider.value = t; if (tempNumber) tempNumber.value = t.toFixed(0); sampleInstantHistory(); };
+  const tempSlider = document.getElementById('temperatureControl'); const tempNumber = document.getElementById('temperatureNumber'); const applyTemp = (v)=>{ const t=clamp(Number(v),260,330); state.temperatureK = t; if (tempSlider) tempSlider.value = t; if (tempNumber) tempNumber.value = t.toFixed(0); updateEnvironment(); };
   tempSlider.addEventListener('input', e=>applyTemp(e.target.value)); tempNumber.addEventListener('change', e=>applyTemp(e.target.value));
 
   // noise
@@ -336,40 +696,155 @@ function handleUI() {
   noiseSlider.addEventListener('input', e=>applyNoise(e.target.value)); noiseNumber.addEventListener('change', e=>applyNoise(e.target.value));
 
   // viscosity
-  const viscSlider = document.getElementById('viscosityControl'); const viscNumber = document.getElementById('viscosityNumber'); const applyViscosity = (v)=>{ const s=clamp(Number(v),1,3); state.viscosity = s*1e-5; if (viscSlider) viscSlider.value = s; if (viscNumber) viscNumber.value = s.toFixed(2); recomputeDropCoefficients(); sampleInstantHistory(); };
+  const viscSlider = document.getElementById('viscosityControl'); const viscNumber = document.getElementById('viscosityNumber'); const applyViscosity = (v)=>{ const s=clamp(Number(v),1,3); state.viscosity = s*1e-5; state.manualViscosity = true; if (viscSlider) viscSlider.value = s; if (viscNumber) viscNumber.value = s.toFixed(2); updateEnvironment(); };
   viscSlider.addEventListener('input', e=>applyViscosity(e.target.value)); viscNumber.addEventListener('change', e=>applyViscosity(e.target.value));
 
+  // integrator
+  document.getElementById('integratorSelect').addEventListener('change', e=>{ if (INTEGRATORS.includes(e.target.value)) state.integrator = e.target.value; });
+  document.getElementById('plateContactSelect').addEventListener('change', e=>{ if (PLATE_CONTACT_MODES.includes(e.target.value)) state.plateContact = e.target.value; });
+  document.getElementById('speedCapToggle').addEventListener('change', e=>{ state.speedCap = e.target.checked; });
+
+  // chamber gas
+  document.getElementById('gasSelect').addEventListener('change', e=>{ state.gas = resolveGas(e.target.value); updateEnvironment(); });
+  const pressureSlider = document.getElementById('pressureControl'); const pressureNumber = document.getElementById('pressureNumber'); const applyPressure = (v)=>{ const kPa = clamp(Number(v), MIN_PRESSURE_PA/1000, MAX_PRESSURE_PA/1000); if (!Number.isFinite(kPa)) return; state.pressurePa = kPa*1000; if (pressureSlider) pressureSlider.value = kPa; if (pressureNumber) pressureNumber.value = kPa.toFixed(1); updateEnvironment(); };
+  if (pressureSlider) pressureSlider.addEventListener('input', e=>applyPressure(e.target.value)); if (pressureNumber) pressureNumber.addEventListener('change', e=>applyPressure(e.target.value));
+  document.getElementById('sutherlandToggle').addEventListener('change', e=>{ state.manualViscosity = !e.target.checked; updateEnvironment(); });
+
   document.getElementById('fieldToggle').addEventListener('change', e=>{ state.fieldEnabled = e.target.checked; });
+  document.getElementById('diffusionStartBtn').addEventListener('click', ()=>setDiffusionRunning(!diffusion.active));
+  document.getElementById('diffusionClearBtn').addEventListener('click', ()=>{ diffusion.clear(); const status = document.getElementById('diffusionStatus'); if (status) status.textContent = ''; renderDiffusion(); });
   document.getElementById('trailToggle').addEventListener('change', e=>{ state.showTrail = e.target.checked; });
   document.getElementById('gridToggle').addEventListener('change', e=>{ state.showGrid = e.target.checked; });
+  document.getElementById('eyepieceToggle').addEventListener('change', e=>setEyepieceView(e.target.checked));
+  document.getElementById('measureToggle').addEventListener('change', e=>{ setMeasureMode(e.target.checked); });
+  document.getElementById('clearTimingsBtn').addEventListener('click', ()=>{ stopwatch.clear(); renderTimingTable(); });
+  document.getElementById('addTimedDropBtn').addEventListener('click', ()=>addAnalysisDrop('timed'));
+  document.getElementById('addBalanceDropBtn').addEventListener('click', ()=>addAnalysisDrop('balance'));
+  document.getElementById('clearAnalysisBtn').addEventListener('click', ()=>{ analysisDrops.length = 0; setAnalysisStatus('Cleared.'); renderAnalysis(); });
+  document.getElementById('fitMethod').addEventListener('change', ()=>renderAnalysis());
+
+  // balance hold
+  document.getElementById('holdToggle').addEventListener('change', e=>setHoldEnabled(e.target.checked));
+  const holdInput = (id, apply)=>{ const input = document.getElementById(id); input.addEventListener('change', e=>{ const v = Number(e.target.value); if (Number.isFinite(v)) apply(v); }); };
+  holdInput('holdTarget', v=>{ hold.targetFraction = clamp(v, 5, 95) / 100; });
+  holdInput('holdKp', v=>{ hold.kp = Math.max(0, v); });
+  holdInput('holdKi', v=>{ const ki = Math.max(0, v); if (hold.ki > 0 && ki > 0) hold.integral *= hold.ki / ki; hold.ki = ki; });
+  holdInput('holdKd', v=>{ hold.kd = Math.max(0, v); });
+
+  // voltage waveform
+  document.getElementById('waveformToggle').addEventListener('change', e=>setWaveformEnabled(e.target.checked));
+  document.getElementById('waveformShape').addEventListener('change', e=>{ if (WAVEFORM_SHAPES.includes(e.target.value)) state.waveform.shape = e.target.value; });
+  const waveInput = (id, apply)=>{ document.getElementById(id).addEventListener('change', e=>{ const v = Number(e.target.value); if (Number.isFinite(v)) apply(v); syncWaveformControls(); }); };
+  waveInput('waveAmplitude', v=>{ state.waveform.amplitudeKV = clamp(v, 0, MAX_WAVEFORM_KV); });
+  waveInput('waveOffset', v=>{ state.waveform.offsetKV = clamp(v, -MAX_WAVEFORM_KV, MAX_WAVEFORM_KV); });
+  waveInput('wavePeriod', v=>{ state.waveform.periodS = clamp(v, 0.5, 120); });
+  waveInput('waveDuty', v=>{ state.waveform.duty = clamp(v, 5, 95) / 100; });
+
+  // ionizer
+  document.getElementById('ionizerToggle').addEventListener('change', e=>{ ionizer.enabled = e.target.checked; });
+  const ionRateSlider = document.getElementById('ionRateControl'); const ionRateNumber = document.getElementById('ionRateNumber'); const applyIonRate = (v)=>{ const r = clamp(Number(v), 0, 2); ionizer.rate = Number.isFinite(r) ? r : ionizer.rate; syncIonizerControls(); };
+  ionRateSlider.addEventListener('input', e=>applyIonRate(e.target.value)); ionRateNumber.addEventListener('change', e=>applyIonRate(e.target.value));
+  document.getElementById('clearIonLogBtn').addEventListener('click', ()=>{ ionizer.clear(); const list = document.getElementById('ionLog'); if (list) list.replaceChildren(); });
+
+  // run recording
+  document.getElementById('recordBtn').addEventListener('click', toggleRecording);
+  document.getElementById('exportCsvBtn').addEventListener('click', ()=>exportRun('csv'));
+  document.getElementById('exportJsonBtn').addEventListener('click', ()=>exportRun('json'));
+  const importInput = document.getElementById('importRunInput'); document.getElementById('importRunBtn').addEventListener('click', ()=>importInput.click()); importInput.addEventListener('change', e=>{ importRun(e.target.files[0]); e.target.value = ''; });
+  document.getElementById('clearOverlayBtn').addEventListener('click', ()=>{ historyOverlay = null; syncRecorderStatus(); });
+
+  // history graph: traces, live/scroll, zoom and cursors
+  Object.keys(HISTORY_TRACES).forEach(key => { const toggle = document.getElementById(`trace${key[0].toUpperCase()}${key.slice(1)}Toggle`); if (!toggle) return; toggle.checked = historyView.traces.has(key); toggle.addEventListener('change', e=>{ if (e.target.checked) historyView.traces.add(key); else historyView.traces.delete(key); }); });
+  document.getElementById('historyLiveToggle').addEventListener('change', e=>setHistoryLive(e.target.checked));
+  document.getElementById('historyScroll').addEventListener('input', e=>{ if (historyView.live) setHistoryLive(false); const { first, last } = historyExtent(); setHistoryEnd(first + historyView.span + (Number(e.target.value) / 1000) * Math.max(0, last - first - historyView.span)); });
+  const zoomHistoryCentre = (factor)=>{ const { t0, t1 } = historyWindow(); zoomHistory(factor, (t0 + t1) / 2); };
+  document.getElementById('historyZoomInBtn').addEventListener('click', ()=>zoomHistoryCentre(0.8));
+  document.getElementById('historyZoomOutBtn').addEventListener('click', ()=>zoomHistoryCentre(1.25));
+  document.getElementById('historyClearCursorsBtn').addEventListener('click', ()=>{ historyView.cursors = []; syncHistoryCursorReadout(); });
+  if (historyCanvas) {
+    const canvasX = (e)=>e.clientX - historyCanvas.getBoundingClientRect().left;
+    historyCanvas.addEventListener('wheel', e=>{ e.preventDefault(); zoomHistory(e.deltaY > 0 ? 1.25 : 0.8, historyTimeAt(canvasX(e))); }, { passive: false });
+    historyCanvas.addEventListener('pointerdown', e=>{ placeHistoryCursor(historyCursorTimeAt(canvasX(e))); });
+    historyCanvas.addEventListener('pointermove', e=>{ if (historyView.dragging === null) return; historyView.cursors[historyView.dragging] = historyCursorTimeAt(canvasX(e)); syncHistoryCursorReadout(); });
+    const endDrag = ()=>{ historyView.dragging = null; }; historyCanvas.addEventListener('pointerup', endDrag); historyCanvas.addEventListener('pointerleave', endDrag);
+  }
+  syncHistoryCursorReadout();
+
+  // student lab
+  document.getElementById('labToggle').addEventListener('change', e=>{ if (!lab.locked) setLabMode(e.target.checked); });
+  document.getElementById('labDifficulty').addEventListener('change', e=>{ if (!lab.locked) setLabMode(true, e.target.value); });
+  document.getElementById('labSubmitBtn').addEventListener('click', submitLabAnswer);
+  document.getElementById('labNextBtn').addEventListener('click', ()=>{ if (lab.active) startLabRound(); });
 
   document.getElementById('playPauseBtn').addEventListener('click', ()=>{ state.running = !state.running; syncRunIndicator(); });
   document.getElementById('newDropBtn').addEventListener('click', ()=>{ resetDrop(true); sampleInstantHistory(); });
   document.getElementById('pulseBtn').addEventListener('click', ()=>{ state.fieldPolarity = -state.fieldPolarity; state.pulseTimer = 0.8; });
   document.getElementById('zeroBtn').addEventListener('click', ()=>{ drop.velocity = 0; sampleInstantHistory(); });
 
-  const resetBtn = document.getElementById('resetBtn'); if (resetBtn) { resetBtn.addEventListener('click', ()=>{ state.running = true; state.voltageKV = 2.0; state.plateGapMeters = 0.005; state.radiusMicrons = 0.9; state.viscosity = 1.8e-5; state.temperatureK = 295; state.noiseBoost = 1; state.fieldEnabled = true; state.showTrail = true; state.showGrid = true; state.gravity = 9.81; state.pulseTimer = 0; state.fieldPolarity = 1; setChargeMultiple(-8); setRadiusMicrons(state.radiusMicrons, { preserveVelocity:false }); setPlateGap(state.plateGapMeters*1000, { preservePosition:false, syncControl:true }); updateRange('voltageControl', state.voltageKV, null, 1, 'voltageNumber'); updateRange('temperatureControl', state.temperatureK, null, 0, 'temperatureNumber'); updateRange('noiseControl', state.noiseBoost, null, 2, 'noiseNumber'); updateRange('viscosityControl', state.viscosity/1e-5, null, 2, 'viscosityNumber'); resetDrop(false); syncRunIndicator(); sampleInstantHistory(); }); }
+  // keyboard shortcuts; ignored while typing in a form field or when a modifier is held
+  const clickButton = (id, message)=>{ const button = document.getElementById(id); if (!button) return; button.click(); announce(typeof message === 'function' ? message() : message); };
+  const stepVoltage = (delta)=>{ applyVoltage(Math.round((state.voltageKV + delta) * 100) / 100); announce(`Voltage ${state.voltageKV.toFixed(2)} kV.`); };
+  const shortcuts = {
+    ' ': ()=>clickButton('playPauseBtn', ()=>state.running ? 'Running.' : 'Paused.'), p: ()=>clickButton('playPauseBtn', ()=>state.running ? 'Running.' : 'Paused.'),
+    u: ()=>clickButton('pulseBtn', 'Field pulsed.'), z: ()=>clickButton('zeroBtn', 'Velocity zeroed.'),
+    n: ()=>{ if (labHidesTruth()) return; clickButton('newDropBtn', ()=>`New drop, ${(drop.y * 1000).toFixed(2)} mm below the top plate.`); },
+    '+': ()=>nudgeCharge(1), '=': ()=>nudgeCharge(1), '-': ()=>nudgeCharge(-1),
+    ']': ()=>stepVoltage(0.01), '[': ()=>stepVoltage(-0.01), '}': ()=>stepVoltage(0.1), '{': ()=>stepVoltage(-0.1),
+    d: ()=>announce(describeSelectedDrop()),
+  };
+  document.addEventListener('keydown', e=>{
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    const tag = e.target?.tagName; if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || e.target?.isContentEditable || (tag === 'BUTTON' && e.key === ' ')) return;
+    const action = shortcuts[e.key.length === 1 ? e.key.toLowerCase() : e.key]; if (!action) return;
+    e.preventDefault(); action();
+  });
+
+  // population
+  const countSlider = document.getElementById('dropCountControl'); const countNumber = document.getElementById('dropCountNumber'); const applyCount = (v)=>{ const n = Math.round(clamp(Number(v),1,12)); state.dropCount = n; if (countSlider) countSlider.value = n; if (countNumber) countNumber.value = n; };
+  countSlider.addEventListener('input', e=>applyCount(e.target.value)); countNumber.addEventListener('change', e=>applyCount(e.target.value));
+  const spreadSlider = document.getElementById('radiusSpreadControl'); const spreadNumber = document.getElementById('radiusSpreadNumber'); const applySpread = (v)=>{ const r = clamp(Number(v),0,0.5); state.radiusSpread = r; if (spreadSlider) spreadSlider.value = r; if (spreadNumber) spreadNumber.value = r.toFixed(2); };
+  spreadSlider.addEventListener('input', e=>applySpread(e.target.value)); spreadNumber.addEventListener('change', e=>applySpread(e.target.value));
+  const chargeMaxSlider = document.getElementById('chargeMaxControl'); const chargeMaxNumber = document.getElementById('chargeMaxNumber'); const applyChargeMax = (v)=>{ const n = Math.round(clamp(Number(v),1,25)); state.chargeMax = n; if (chargeMaxSlider) chargeMaxSlider.value = n; if (chargeMaxNumber) chargeMaxNumber.value = n; };
+  chargeMaxSlider.addEventListener('input', e=>applyChargeMax(e.target.value)); chargeMaxNumber.addEventListener('change', e=>applyChargeMax(e.target.value));
+  document.getElementById('spawnBtn').addEventListener('click', ()=>{ spawnPopulation(); });
+
+  // seed: applying a seed deals the first mystery drop of that seed's sequence
+  const seedInput = document.getElementById('seedInput'); const applySeedInput = ()=>{ const raw = seedInput.value.trim(); applySeed(raw === '' ? undefined : raw); resetDrop(true); sampleInstantHistory(); };
+  document.getElementById('seedBtn').addEventListener('click', applySeedInput); seedInput.addEventListener('keydown', e=>{ if (e.key === 'Enter') applySeedInput(); });
+
+  const resetBtn = document.getElementById('resetBtn'); if (resetBtn) { resetBtn.addEventListener('click', ()=>{ state.running = true; state.gravity = 9.81; applySeed(sim.seed); applyPreset(BUILTIN_PRESETS.default); syncRunIndicator(); }); }
+
+  // presets and share links
+  renderPresetOptions();
+  document.getElementById('loadPresetBtn').addEventListener('click', ()=>{ const entry = selectedPreset(); if (!entry) return; applyPreset(entry.preset); setPresetStatus(`Loaded “${entry.name}”.`); });
+  document.getElementById('savePresetBtn').addEventListener('click', ()=>{ const name = document.getElementById('presetName').value.trim(); try { if (!presetStorage) throw new Error('Browser storage is not available.'); saveUserPreset(presetStorage, name, capturePreset(state, drop)); renderPresetOptions(`user:${name}`); setPresetStatus(`Saved “${name}”.`); } catch (err) { setPresetStatus(err.message); } });
+  document.getElementById('deletePresetBtn').addEventListener('click', ()=>{ const entry = selectedPreset(); if (!entry || !entry.user) { setPresetStatus('Only saved presets can be deleted.'); return; } deleteUserPreset(presetStorage, entry.name); renderPresetOptions(); setPresetStatus(`Deleted “${entry.name}”.`); });
+  document.getElementById('shareLinkBtn').addEventListener('click', ()=>{ const link = shareLink(); const field = document.getElementById('shareLink'); field.value = link; field.hidden = false; field.select?.(); const copied = navigator.clipboard?.writeText ? navigator.clipboard.writeText(link) : Promise.reject(); copied.then(()=>setPresetStatus('Share link copied to the clipboard.'), ()=>setPresetStatus('Copy the share link above.')); });
 
   canvas.addEventListener('pointerdown', (e)=>{
-    const rect = canvas.getBoundingClientRect(); const x = e.clientX - rect.left; const y = e.clientY - rect.top; const dropCoord = getDropScreenPosition(); const dx = x - dropCoord.x; const dy = y - dropCoord.y; const radiusPx = getDropPixelRadius(); if (Math.hypot(dx, dy) <= radiusPx*1.5) { const delta = e.shiftKey ? 1 : -1; setChargeMultiple(drop.chargeMultiple + delta); } });
+    const rect = canvas.getBoundingClientRect(); const x = e.clientX - rect.left; const y = e.clientY - rect.top;
+    const reticle = findReticleAt(y); if (reticle) { draggingReticle = reticle; if (canvas.setPointerCapture && e.pointerId !== undefined) canvas.setPointerCapture(e.pointerId); return; }
+    const hit = findDropAt(x, y); if (hit === null) return; if (hit !== sim.selected) { selectDrop(hit); return; } nudgeCharge(e.shiftKey ? 1 : -1); });
+  canvas.addEventListener('pointermove', (e)=>{ const rect = canvas.getBoundingClientRect(); const y = e.clientY - rect.top; if (draggingReticle) { dragReticle(y); return; } canvas.style.cursor = findReticleAt(y) ? 'ns-resize' : ''; });
+  canvas.addEventListener('wheel', (e)=>{ if (!state.eyepieceView) return; e.preventDefault(); microscope.focus(-Math.sign(e.deltaY) * 5e-6); }, { passive: false });
+  const endReticleDrag = ()=>{ draggingReticle = null; }; canvas.addEventListener('pointerup', endReticleDrag); canvas.addEventListener('pointercancel', endReticleDrag);
 }
 
 function resetDrop(randomize=false) {
   let radiusUpdated = false;
   if (randomize) {
-    const randomRadius = +(0.4 + Math.random()*0.9).toFixed(2);
-    state.voltageKV = +(0.5 + Math.random()*5.5).toFixed(2);
-    const randCharge = (Math.random() > 0.5 ? 1 : -1)*(2 + Math.floor(Math.random()*12));
-    setChargeMultiple(randCharge);
-    setRadiusMicrons(randomRadius, { preserveVelocity:false }); radiusUpdated = true; updateRange('voltageControl', state.voltageKV, null, 1, 'voltageNumber'); updateRange('radiusControl', randomRadius, null, 2, 'radiusNumber'); updateRange('chargeControl', drop.chargeMultiple, null, 0, 'chargeNumber'); const randomGap = +(2 + Math.random()*6).toFixed(1); setPlateGap(randomGap, { preservePosition:false, syncControl:true });
+    const setup = sim.randomDropSetup(); const randomRadius = setup.radiusMicrons;
+    state.voltageKV = setup.voltageKV;
+    setChargeMultiple(setup.chargeMultiple);
+    setRadiusMicrons(randomRadius, { preserveVelocity:false }); radiusUpdated = true; updateRange('voltageControl', state.voltageKV, null, 1, 'voltageNumber'); updateRange('radiusControl', randomRadius, null, 2, 'radiusNumber'); updateRange('chargeControl', drop.chargeMultiple, null, 0, 'chargeNumber'); setPlateGap(setup.gapMm, { preservePosition:false, syncControl:true });
   }
   if (!radiusUpdated) setRadiusMicrons(state.radiusMicrons, { preserveVelocity:false });
-  drop.y = state.plateGapMeters * 0.35; drop.velocity = 0; trail.length = 0;
+  drop.y = state.plateGapMeters * 0.35; drop.velocity = 0; drop.stuck = false; drop.lost = false; trails.delete(drop.id); stopwatch.reset();
 }
 
 // --- Main loop
-let lastTime = performance.now(); function loop(timestamp) { const dt = Math.min(0.05, Math.max(0, (timestamp - lastTime) / 1000)); lastTime = timestamp; const E = update(dt); captureHistorySample(dt, E); drawBackground(); drawPlates(); drawFieldLines(); drawTrail(); drawDrop(); drawHUD(); updateReadouts(E); drawHistoryGraph(); requestAnimationFrame(loop); }
+let lastTime = performance.now(); function loop(timestamp) { const dt = Math.min(0.05, Math.max(0, (timestamp - lastTime) / 1000)); lastTime = timestamp; const E = update(dt); trackStopwatch(E); trackDiffusion(); if (state.running) { recordRunSample(E); captureHistorySample(dt, E); } trackAnnouncements(dt, E); if (state.eyepieceView) drawEyepiece(); else { drawBackground(); drawPlates(); drawFieldLines(); drawTrail(); } drawReticles(); drawHoldTarget(); if (!state.eyepieceView) drawDrop(); drawHUD(); updateReadouts(E); syncHeldVoltage(); drawHistoryGraph(); requestAnimationFrame(loop); }
 
-function bootstrap() { handleUI(); setPlateGap(state.plateGapMeters*1000, { preservePosition:false, syncControl:true }); setChargeMultiple(drop.chargeMultiple); recomputeDropCoefficients(); updateRange('temperatureControl', state.temperatureK, null, 0, 'temperatureNumber'); updateRange('noiseControl', state.noiseBoost, null, 2, 'noiseNumber'); resetDrop(false); resizeCanvas(); resizeHistoryCanvas(); syncRunIndicator(); sampleInstantHistory(); window.addEventListener('resize', () => { resizeCanvas(); resizeHistoryCanvas(); }); requestAnimationFrame(loop); }
+function bootstrap() { handleUI(); syncEnvironmentControls(); setPlateGap(state.plateGapMeters*1000, { preservePosition:false, syncControl:true }); setChargeMultiple(drop.chargeMultiple); sim.recompute(); updateRange('temperatureControl', state.temperatureK, null, 0, 'temperatureNumber'); updateRange('noiseControl', state.noiseBoost, null, 2, 'noiseNumber'); const urlSeed = readSeedFromUrl(); const urlLab = readLabFromUrl(); const urlPreset = presetFromQuery(window.location.search); applySeed(urlSeed ?? sim.seed); if (urlPreset) applyPreset(urlPreset); else resetDrop(urlSeed !== null && !urlLab); if (urlLab) { lab.locked = true; setLabMode(true, urlLab.difficulty); } installScriptingApi(); resizeCanvas(); resizeHistoryCanvas(); resizeAnalysisCanvas(); renderAnalysis(); renderDiffusion(); syncRunIndicator(); recorder.start(sim.time, { seed: sim.seed }); sampleInstantHistory(); window.addEventListener('resize', () => { resizeCanvas(); resizeHistoryCanvas(); resizeAnalysisCanvas(); renderAnalysis(); renderDiffusion(); }); requestAnimationFrame(loop); }
 
 bootstrap();
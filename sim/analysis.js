@@ -0,0 +1,100 @@
+// analysis.js - Millikan charge analysis: invert measured drops to radius and charge,
+// then fit the elementary charge (no DOM access). Uses the same Stokes + Cunningham
+// drag model as recomputeDropCoefficients in engine.js, including the chamber gas density and
+// mean free path when `env` carries them.
+
+import { OIL_DENSITY, AIR_DENSITY, ELECTRON_CHARGE, computeSlipCorrection } from './engine.js';
+
+// Radius from the field-off terminal velocity: m g = 6 pi eta r v / C(r), solved by fixed-point
+// iteration because the slip factor itself depends on the radius.
+export function radiusFromFallVelocity(fallVelocity, env) {
+  const v = Math.abs(fallVelocity);
+  if (!(v > 0)) return null;
+  const effDensity = Math.max(OIL_DENSITY - (env.gasDensity ?? AIR_DENSITY), 1);
+  let r = Math.sqrt((9 * env.viscosity * v) / (2 * effDensity * env.gravity));
+  for (let i = 0; i < 50; i++) {
+    const next = Math.sqrt((9 * env.viscosity * v) / (2 * effDensity * env.gravity * computeSlipCorrection(r, env.meanFreePath)));
+    if (Math.abs(next - r) < 1e-15) { r = next; break; }
+    r = next;
+  }
+  return r;
+}
+
+// Estimate radius, mass, slip factor and charge magnitude for one measured drop.
+// measurement: { method: 'timed', fallVelocity, riseVelocity, voltageKV, gapMeters }
+//           or { method: 'balance', fallVelocity, voltageKV, gapMeters }
+export function estimateDrop(measurement, env) {
+  const radiusMeters = radiusFromFallVelocity(measurement.fallVelocity, env);
+  if (radiusMeters === null) return null;
+  const effDensity = Math.max(OIL_DENSITY - (env.gasDensity ?? AIR_DENSITY), 1);
+  const mass = (4/3) * Math.PI * Math.pow(radiusMeters, 3) * effDensity;
+  const slipFactor = computeSlipCorrection(radiusMeters, env.meanFreePath);
+  const dragCoeff = (6 * Math.PI * env.viscosity * radiusMeters) / slipFactor;
+  const E = (measurement.voltageKV * 1000) / Math.max(measurement.gapMeters, 1e-5);
+  if (!(E > 0)) return null;
+  const chargeCoulombs = measurement.method === 'balance'
+    ? (mass * env.gravity) / E
+    : (dragCoeff * (Math.abs(measurement.fallVelocity) + Math.abs(measurement.riseVelocity))) / E;
+  return { radiusMeters, mass, slipFactor, dragCoeff, field: E, chargeCoulombs };
+}
+
+// Least-squares e for a fixed integer assignment n_i, with the standard error from the residuals
+function leastSquaresFit(charges, multiples) {
+  const sumNQ = charges.reduce((s, q, i) => s + multiples[i] * q, 0);
+  const sumNN = multiples.reduce((s, n) => s + n * n, 0);
+  const e = sumNQ / sumNN;
+  const residuals = charges.map((q, i) => q - multiples[i] * e);
+  const sse = residuals.reduce((s, r) => s + r * r, 0);
+  const uncertainty = charges.length > 1 ? Math.sqrt(sse / (charges.length - 1) / sumNN) : null;
+  const residualRms = Math.sqrt(sse / charges.length) / e; // in units of e
+  return { e, uncertainty, multiples, residualRms };
+}
+
+// Fit the elementary charge to a list of charge magnitudes (C).
+// 'gcd': approximate greatest common divisor - try q_min / k for k = 1..maxMultiple and keep the
+//        largest quantum for which every charge sits near an integer multiple.
+// 'lsq': scan e down from maxCharge to minCharge and take the largest e whose RMS relative
+//        distance of q/e to integers stays under relativeTolerance, refined to the bottom of
+//        that valley. Every subharmonic e/k fits at least as well, so the smallest cost alone
+//        would lock onto a fraction of e; with none under the tolerance it falls back to the
+//        lowest cost.
+// Both refine the chosen integer assignment by least squares to report e with its uncertainty.
+export function fitElementaryCharge(charges, options = {}) {
+  const { method = 'gcd', maxMultiple = 30, tolerance = 0.12, relativeTolerance = 0.02, minCharge = 0.5e-19, maxCharge = 3e-19 } = options;
+  const qs = charges.map(Math.abs).filter(q => q > 0);
+  if (qs.length === 0) return null;
+  const assign = (e) => qs.map(q => Math.max(1, Math.round(q / e)));
+  let best = null;
+  if (method === 'lsq') {
+    const steps = 4000;
+    const cost = (e) => Math.sqrt(qs.reduce((s, q) => { const x = q / e; const n = Math.max(1, Math.round(x)); return s + Math.pow((x - n) / n, 2); }, 0) / qs.length);
+    let lowest = null, found = null;
+    for (let i = steps; i >= 0; i--) {
+      const e = minCharge + (maxCharge - minCharge) * (i / steps); const c = cost(e);
+      if (!lowest || c < lowest.cost) lowest = { e, cost: c };
+      if (found) { if (c < found.cost) found = { e, cost: c }; else break; } // walk down to the valley floor
+      else if (c <= relativeTolerance) found = { e, cost: c };
+    }
+    best = leastSquaresFit(qs, assign((found ?? lowest).e));
+  } else {
+    const qMin = Math.min(...qs);
+    for (let k = 1; k <= maxMultiple; k++) {
+      const fit = leastSquaresFit(qs, assign(qMin / k));
+      if (!best || fit.residualRms < best.residualRms) best = fit;
+      if (fit.residualRms <= tolerance) { best = fit; break; }
+    }
+  }
+  const deviation = (best.e - ELECTRON_CHARGE) / ELECTRON_CHARGE;
+  const sigmas = best.uncertainty ? Math.abs(best.e - ELECTRON_CHARGE) / best.uncertainty : null;
+  return { ...best, method, count: qs.length, reference: ELECTRON_CHARGE, deviation, sigmas };
+}
+
+// Histogram counts for charges (C) with a fixed bin width; returns { bins, start, width }
+export function chargeHistogram(charges, binWidth = 0.2e-19) {
+  const qs = charges.map(Math.abs);
+  if (qs.length === 0) return { bins: [], start: 0, width: binWidth };
+  const maxQ = Math.max(...qs);
+  const bins = new Array(Math.max(1, Math.ceil(maxQ / binWidth) + 1)).fill(0);
+  qs.forEach(q => { bins[Math.min(bins.length - 1, Math.floor(q / binWidth))]++; });
+  return { bins, start: 0, width: binWidth };
+}
@@ -0,0 +1,246 @@
+// api.js - scripting API for batch experiments (no DOM access). The same object runs a headless
+// simulation from a Node script and drives the live page from the browser console, where it is
+// exposed as `window.millikan`:
+//
+//   import { createExperiment } from './sim/api.js';
+//   const exp = createExperiment({ seed: 42 });
+//   exp.set({ voltageKV: 0, radiusMicrons: 0.8, chargeMultiple: -5 });
+//   exp.on('cross', ev => console.log(ev.t, ev.direction), { heightMm: 2.5 });
+//   exp.run(10);
+//   console.log(exp.measure());
+//
+// Units follow the controls: kV, mm below the top plate, microns, e, K, kPa, viscosity in
+// 1e-5 Pa s; velocities are in m/s, positive downward like the engine. The README's
+// "Scripting API" section is the reference.
+
+import {
+  ELECTRON_CHARGE, MAX_FRAME_DT, MIN_GAP_METERS, MAX_GAP_METERS, INTEGRATORS, PLATE_CONTACT_MODES,
+  applyEnvironment, clamp, createDrop, createSimulation, createState,
+} from './engine.js';
+import { GASES, MIN_PRESSURE_PA, MAX_PRESSURE_PA } from './gas.js';
+import { MAX_CHARGE_MULTIPLE, createIonizer } from './ionizer.js';
+
+export const EVENT_TYPES = ['contact', 'cross', 'charge'];
+// A drop resting on a plate touches it on most substeps; contact is reported again only after
+// the drop has been this far from the plate
+export const CONTACT_REARM_MM = 0.01;
+
+function toNumber(key, value) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) throw new Error(`${key} must be a number.`);
+  return number;
+}
+
+function pick(key, value, choices) {
+  if (!choices.includes(value)) throw new Error(`${key} must be one of ${choices.join(', ')}.`);
+  return value;
+}
+
+function toBoolean(key, value) {
+  if (value === true || value === 1 || value === 'true' || value === '1') return true;
+  if (value === false || value === 0 || value === 'false' || value === '0') return false;
+  throw new Error(`${key} must be true or false.`);
+}
+
+const oneOf = (choices) => (key, value) => pick(key, value, choices);
+
+// Parameter name -> [read, parse, write]. parse validates and converts a value without touching
+// the experiment, so set() can reject a bad value before writing any. Ranges match the sliders;
+// drop parameters act on the selected drop.
+const PARAMETERS = {
+  voltageKV: [exp => exp.state.voltageKV, toNumber, (exp, v) => { exp.state.voltageKV = clamp(v, 0, 8); }],
+  fieldEnabled: [exp => exp.state.fieldEnabled, toBoolean, (exp, v) => { exp.state.fieldEnabled = v; }],
+  gapMm: [exp => exp.state.plateGapMeters * 1000, toNumber, (exp, v) => {
+    const { state, sim } = exp; const previous = state.plateGapMeters;
+    state.plateGapMeters = clamp(v / 1000, MIN_GAP_METERS, MAX_GAP_METERS);
+    sim.drops.forEach(d => { d.y = clamp(d.y / previous, 0, 1) * state.plateGapMeters; }); // same relative heights, like the slider
+  }],
+  temperatureK: [exp => exp.state.temperatureK, toNumber, (exp, v) => { exp.state.temperatureK = clamp(v, 260, 330); }],
+  gas: [exp => exp.state.gas, oneOf(Object.keys(GASES)), (exp, v) => { exp.state.gas = v; }],
+  pressureKPa: [exp => exp.state.pressurePa / 1000, toNumber, (exp, v) => { exp.state.pressurePa = clamp(v * 1000, MIN_PRESSURE_PA, MAX_PRESSURE_PA); }],
+  // Setting a viscosity switches Sutherland's law off; set manualViscosity: false to restore it
+  viscosity: [exp => exp.state.viscosity / 1e-5, toNumber, (exp, v) => { exp.state.viscosity = clamp(v, 1, 3) * 1e-5; exp.state.manualViscosity = true; }],
+  manualViscosity: [exp => exp.state.manualViscosity, toBoolean, (exp, v) => { exp.state.manualViscosity = v; }],
+  noiseBoost: [exp => exp.state.noiseBoost, toNumber, (exp, v) => { exp.state.noiseBoost = clamp(v, 0, 2); }],
+  gravity: [exp => exp.state.gravity, toNumber, (exp, v) => { exp.state.gravity = v; }],
+  integrator: [exp => exp.state.integrator, oneOf(INTEGRATORS), (exp, v) => { exp.state.integrator = v; }],
+  plateContact: [exp => exp.state.plateContact, oneOf(PLATE_CONTACT_MODES), (exp, v) => { exp.state.plateContact = v; }],
+  speedCap: [exp => exp.state.speedCap, toBoolean, (exp, v) => { exp.state.speedCap = v; }],
+  ionRate: [exp => (exp.ionizer.enabled ? exp.ionizer.rate : 0), toNumber, (exp, v) => { const rate = clamp(v, 0, 2); exp.ionizer.rate = rate; exp.ionizer.enabled = rate > 0; }],
+  radiusMicrons: [exp => exp.drop.radiusMeters * 1e6, toNumber, (exp, v) => { exp.drop.radiusMeters = clamp(v, 0.3, 1.5) * 1e-6; }],
+  chargeMultiple: [exp => exp.drop.chargeMultiple, toNumber, (exp, v) => {
+    const m = Math.round(clamp(v, -MAX_CHARGE_MULTIPLE, MAX_CHARGE_MULTIPLE));
+    exp.drop.chargeMultiple = m; exp.drop.chargeCoulombs = m * ELECTRON_CHARGE;
+  }],
+  // Moving a drop frees it from a plate it stuck to or was lost at
+  heightMm: [exp => exp.drop.y * 1000, toNumber, (exp, v) => { const d = exp.drop; d.y = clamp(v / 1000, 0, exp.state.plateGapMeters); d.stuck = false; d.lost = false; }],
+  velocity: [exp => exp.drop.velocity, toNumber, (exp, v) => { exp.drop.velocity = v; }],
+};
+export const PARAMETER_NAMES = Object.keys(PARAMETERS);
+
+// options.sim binds the API to an existing simulation (the page passes its own, with its ionizer);
+// otherwise a headless one is created from options.state / options.seed. onChange runs after
+// anything a script changes, so the page can bring its controls up to date.
+export function createExperiment({ sim, state, seed, ionizer, onChange } = {}) {
+  const simulation = sim ?? createSimulation({ state: createState(state), seed });
+  const listeners = { contact: [], cross: [], charge: [] }; // { listener, options }
+  const last = new Map(); // drop id -> { t, y, chargeMultiple } seen at the previous check
+  const touching = new Map(); // drop id -> plate it last touched, until it moves away
+
+  const emit = (type, event) => listeners[type].slice().forEach(({ listener, options }) => {
+    if (options.dropId !== undefined && options.dropId !== event.dropId) return;
+    if (type === 'cross' && (options.heightMm !== event.heightMm || (options.direction !== 'either' && options.direction !== event.direction))) return;
+    listener(event);
+  });
+
+  // Compare every drop with its previous check: charge changes from any source (ionizer, set(),
+  // clicks in the page) and crossings of the watched heights, timed by linear interpolation
+  // between substeps. `moved: false` re-bases positions without reporting crossings.
+  const check = (moved = true) => {
+    const t = simulation.time;
+    for (const d of simulation.drops) {
+      const previous = last.get(d.id);
+      last.set(d.id, { t, y: d.y, chargeMultiple: d.chargeMultiple });
+      if (!previous) continue;
+      if (d.chargeMultiple !== previous.chargeMultiple) emit('charge', { type: 'charge', t, dropId: d.id, from: previous.chargeMultiple, to: d.chargeMultiple, delta: d.chargeMultiple - previous.chargeMultiple });
+      const plate = touching.get(d.id);
+      if (plate && (plate === 'top' ? d.y : simulation.state.plateGapMeters - d.y) > CONTACT_REARM_MM / 1000) touching.delete(d.id);
+      if (!moved || d.y === previous.y) continue;
+      for (const heightMm of new Set(listeners.cross.map(entry => entry.options.heightMm))) {
+        const h = heightMm / 1000;
+        const direction = previous.y < h && d.y >= h ? 'down' : previous.y > h && d.y <= h ? 'up' : null;
+        if (!direction) continue;
+        emit('cross', { type: 'cross', t: previous.t + ((t - previous.t) * (h - previous.y)) / (d.y - previous.y), dropId: d.id, heightMm, direction });
+      }
+    }
+    for (const id of last.keys()) if (!simulation.drops.some(d => d.id === id)) { last.delete(id); touching.delete(id); }
+  };
+  const controller = () => check();
+  const contactListener = (contact) => { if (touching.get(contact.dropId) === contact.plate) return; touching.set(contact.dropId, contact.plate); emit('contact', { type: 'contact', ...contact }); };
+  const changed = () => { check(false); onChange?.(experiment); };
+  const advance = (dt) => { simulation.step(dt); check(); };
+
+  const experiment = {
+    sim: simulation,
+    ionizer: ionizer ?? createIonizer(),
+    get state() { return simulation.state; },
+    get drop() { return simulation.drop; },
+    get time() { return simulation.time; },
+
+    // Parameters: set({ name: value, ... }) validates every name and value first, so a bad one
+    // throws with nothing applied
+    set(params = {}) {
+      const unknown = Object.keys(params).filter(key => !PARAMETERS[key]);
+      if (unknown.length) throw new Error(`Unknown parameter${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}. Known: ${PARAMETER_NAMES.join(', ')}.`);
+      const values = Object.entries(params).map(([key, value]) => [key, PARAMETERS[key][1](key, value)]);
+      for (const [key, value] of values) PARAMETERS[key][2](experiment, value);
+      applyEnvironment(simulation.state); simulation.recompute();
+      changed();
+      return experiment;
+    },
+    get(name) {
+      if (name === undefined) return Object.fromEntries(PARAMETER_NAMES.map(key => [key, PARAMETERS[key][0](experiment)]));
+      if (!PARAMETERS[name]) throw new Error(`Unknown parameter ${name}. Known: ${PARAMETER_NAMES.join(', ')}.`);
+      return PARAMETERS[name][0](experiment);
+    },
+
+    // Drops: a mystery drop from the seeded sequence (as the New drop button, which also sets the
+    // voltage and gap), a droplet cloud, or the selection
+    newDrop() {
+      const setup = simulation.randomDropSetup();
+      experiment.set({ voltageKV: setup.voltageKV, gapMm: setup.gapMm });
+      simulation.setDrops([createDrop(simulation.state, { radiusMicrons: setup.radiusMicrons, chargeMultiple: setup.chargeMultiple })]);
+      changed();
+      return setup;
+    },
+    populate(options) { simulation.populate(options); changed(); return simulation.drops.length; },
+    select(index) { simulation.select(index); changed(); return simulation.drop; },
+    reseed(value) { const applied = simulation.reseed(value); changed(); return applied; },
+    pause() { simulation.state.running = false; changed(); },
+    resume() { simulation.state.running = true; changed(); },
+
+    // Stepping without rendering. run() advances in frame-sized chunks and stops early once
+    // until(experiment) returns true; both return the selected drop's measurement.
+    step(dt = MAX_FRAME_DT) { advance(toNumber('dt', dt)); changed(); return experiment.measure(); },
+    run(seconds, { until, chunk = MAX_FRAME_DT } = {}) {
+      const end = simulation.time + toNumber('seconds', seconds);
+      chunk = toNumber('chunk', chunk);
+      if (chunk <= 0) throw new Error('chunk must be greater than zero.');
+      while (simulation.time < end - 1e-9) { advance(Math.min(chunk, end - simulation.time)); if (until && until(experiment)) break; }
+      changed();
+      return experiment.measure();
+    },
+    // Stopwatch between two heights: waits for the selected drop to cross fromMm and then toMm
+    // moving the same way. Resolves to null if that does not happen within `timeout` seconds.
+    time({ fromMm, toMm, timeout = 60 } = {}) {
+      fromMm = toNumber('fromMm', fromMm); toMm = toNumber('toMm', toMm);
+      if (fromMm === toMm) throw new Error('fromMm and toMm must differ.');
+      const direction = toMm > fromMm ? 'down' : 'up';
+      const dropId = simulation.drop.id; let start = null, result = null;
+      const offFrom = experiment.on('cross', ev => { start = ev.t; }, { heightMm: fromMm, direction, dropId });
+      const offTo = experiment.on('cross', ev => {
+        if (start === null || result) return;
+        const duration = ev.t - start;
+        result = { start, end: ev.t, duration, distanceMm: toMm - fromMm, velocity: (toMm - fromMm) / 1000 / duration };
+      }, { heightMm: toMm, direction, dropId });
+      try { experiment.run(timeout, { until: () => result !== null }); } finally { offFrom(); offTo(); }
+      return result;
+    },
+
+    // Events: 'contact' { t, dropId, plate, mode }, 'cross' { t, dropId, heightMm, direction }
+    // (options.heightMm is required, options.direction 'down' | 'up' | 'either'), and 'charge'
+    // { t, dropId, from, to, delta }. options.dropId limits any of them to one drop.
+    // Returns a function that removes this subscription only, even if the listener has others.
+    on(type, listener, options = {}) {
+      pick('event type', type, EVENT_TYPES);
+      if (typeof listener !== 'function') throw new Error('The listener must be a function.');
+      const entry = { listener, options: { direction: 'either', ...options } };
+      if (type === 'cross') { entry.options.heightMm = toNumber('heightMm', options.heightMm); pick('direction', entry.options.direction, ['down', 'up', 'either']); }
+      listeners[type].push(entry);
+      return () => { const index = listeners[type].indexOf(entry); if (index >= 0) listeners[type].splice(index, 1); };
+    },
+    off(type, listener) { const list = listeners[type] ?? []; const index = list.findIndex(entry => entry.listener === listener); if (index >= 0) list.splice(index, 1); },
+
+    // Measurements of a drop (the selected one by default). driftVelocity is the noise-free
+    // velocity the forces produce; balanceVoltageKV is the plate voltage that would hold the drop
+    // at the current polarity (negative: it needs the field reversed; null for a neutral drop).
+    measure(d = simulation.drop) {
+      const { state } = simulation; const E = simulation.field(); const weight = d.mass * state.gravity;
+      return {
+        t: simulation.time,
+        dropId: d.id,
+        heightMm: d.y * 1000,
+        gapMm: state.plateGapMeters * 1000,
+        velocity: d.velocity,
+        driftVelocity: d.dragCoeff > 0 ? (weight + d.chargeCoulombs * E) / d.dragCoeff : 0,
+        terminalVelocity: d.dragCoeff > 0 ? weight / d.dragCoeff : 0,
+        voltageKV: simulation.voltage(),
+        fieldVPerM: E,
+        chargeMultiple: d.chargeMultiple,
+        chargeCoulombs: d.chargeCoulombs,
+        radiusMicrons: d.radiusMeters * 1e6,
+        massKg: d.mass,
+        slipFactor: d.slipFactor,
+        balanceVoltageKV: d.chargeCoulombs !== 0 ? -(weight * state.plateGapMeters) / (d.chargeCoulombs * state.fieldPolarity) / 1000 : null,
+        stuck: d.stuck,
+        lost: d.lost,
+        seed: simulation.seed,
+      };
+    },
+    measureAll() { return simulation.drops.map(d => experiment.measure(d)); },
+
+    // Detach from the simulation (the page's instance stays attached for the session)
+    dispose() {
+      simulation.controllers = simulation.controllers.filter(c => c !== controller);
+      simulation.contactListeners = simulation.contactListeners.filter(l => l !== contactListener);
+      if (!ionizer) simulation.controllers = simulation.controllers.filter(c => c !== ionizerController);
+    },
+  };
+
+  const ionizerController = (s, dt) => experiment.ionizer.update(s, dt);
+  if (!ionizer) simulation.controllers.push(ionizerController);
+  simulation.controllers.push(controller);
+  simulation.onContact(contactListener);
+  check(false);
+  return experiment;
+}
@@ -0,0 +1,71 @@
+// controller.js - closed-loop balance hold: a PID loop on the plate voltage that keeps the
+// selected drop at a target height (no DOM access)
+
+import { clamp } from './engine.js';
+
+// Gains act on the height error in millimeters and produce kilovolts:
+// kp [kV/mm], ki [kV/(mm·s)], kd [kV·s/mm]. targetFraction is measured from the top plate.
+// The hold counts as settled once the drop has stayed within settleTolerance of the gap for a
+// settleTime window whose mean voltage agrees with the previous window's within steadyTolerance:
+// the drop reaches the target while the integrator is still winding up, so position alone
+// would report a voltage well short of balance.
+export function createHoldController(options = {}) {
+  const {
+    kp = 5, ki = 5, kd = 0, targetFraction = 0.5, minKV = 0, maxKV = 8,
+    settleTolerance = 0.01, settleTime = 2, steadyTolerance = 0.005,
+  } = options;
+  const hold = {
+    kp, ki, kd, targetFraction, minKV, maxKV, settleTolerance, settleTime, steadyTolerance,
+    enabled: false,
+    integral: 0,
+    lastError: null,
+    output: 0,
+    saturated: false,
+    settled: false,
+    settledVoltage: null,
+    settleClock: 0,
+    settleSum: 0,
+    windowVoltage: null, // mean voltage of the previous in-tolerance window
+    // Start from zero volts: the field can push a drop up fast but only gravity pulls it
+    // down slowly, so winding the voltage up from below avoids slamming it into the top plate.
+    enable() {
+      hold.enabled = true; hold.lastError = null; hold.settled = false; hold.settledVoltage = null; hold.settleClock = 0; hold.settleSum = 0;
+      hold.windowVoltage = null; hold.integral = 0;
+    },
+    disable() { hold.enabled = false; },
+    // Voltage pushes the drop up only when charge and field point the right way; the sign
+    // tells the loop which way to move. Zero means the field cannot hold this drop.
+    direction(sim) { return -Math.sign(sim.drop.chargeCoulombs * (sim.state.fieldEnabled ? sim.state.fieldPolarity : 0)); },
+    // Run as one of sim.controllers: updates state.voltageKV every substep
+    update(sim, dt) {
+      if (!hold.enabled || dt <= 0) return;
+      const { state, drop } = sim;
+      const errorMm = (drop.y - hold.targetFraction * state.plateGapMeters) * 1000; // > 0: drop is too low
+      const direction = hold.direction(sim);
+      const derivative = hold.lastError === null ? 0 : (errorMm - hold.lastError) / dt;
+      hold.lastError = errorMm;
+      const effort = direction * errorMm;
+      const candidate = hold.kp * effort + hold.ki * (hold.integral + effort * dt) + hold.kd * direction * derivative;
+      const output = clamp(candidate, hold.minKV, hold.maxKV);
+      hold.saturated = output !== candidate;
+      // Anti-windup: stop integrating while the output is pinned against a limit
+      if (!hold.saturated) hold.integral += effort * dt;
+      hold.output = output;
+      state.voltageKV = output;
+
+      const toleranceMm = hold.settleTolerance * state.plateGapMeters * 1000;
+      if (Math.abs(errorMm) <= toleranceMm && !hold.saturated) {
+        hold.settleClock += dt; hold.settleSum += output * dt;
+        if (hold.settleClock >= hold.settleTime) {
+          const mean = hold.settleSum / hold.settleClock;
+          if (hold.windowVoltage !== null && Math.abs(mean - hold.windowVoltage) <= hold.steadyTolerance * Math.abs(mean)) { hold.settled = true; hold.settledVoltage = mean; }
+          hold.windowVoltage = mean; hold.settleClock = 0; hold.settleSum = 0;
+        }
+      } else {
+        hold.settleClock = 0; hold.settleSum = 0; hold.windowVoltage = null;
+        if (Math.abs(errorMm) > 3 * toleranceMm) hold.settled = false;
+      }
+    },
+  };
+  return hold;
+}
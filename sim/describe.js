@@ -0,0 +1,72 @@
+// describe.js - plain-language descriptions of the selected drop for screen readers, and the
+// watches that decide when a plate contact or a balance is worth announcing (no DOM access)
+
+export const STILL_SPEED = 2e-6; // m/s; slower than this reads as hovering
+
+export function describeMotion(velocity) {
+  if (!Number.isFinite(velocity) || Math.abs(velocity) < STILL_SPEED) return 'hovering';
+  return `${velocity > 0 ? 'falling' : 'rising'} at ${(Math.abs(velocity) * 1000).toFixed(3)} mm/s`;
+}
+
+// velocity is the observed average (the instantaneous value is dominated by Brownian noise)
+export function describeDrop({ drop, state, velocity, voltageKV }) {
+  const gapMm = state.plateGapMeters * 1000; const depthMm = drop.y * 1000;
+  const field = state.fieldEnabled ? `Field on at ${Math.abs(voltageKV).toFixed(2)} kV${voltageKV < 0 ? ', reversed' : ''}.` : 'Field off.';
+  if (drop.lost) return `The drop was lost at a plate. ${field}`;
+  const plate = drop.y > state.plateGapMeters / 2 ? 'bottom' : 'top';
+  if (drop.stuck) return `The drop is stuck to the ${plate} plate. ${field}`;
+  const edge = 0.005 * state.plateGapMeters;
+  if (drop.y <= edge || drop.y >= state.plateGapMeters - edge) return `The drop is pressed against the ${plate} plate. ${field}`;
+  const where = `${depthMm.toFixed(2)} mm below the top plate, ${Math.round((100 * drop.y) / state.plateGapMeters)} % of the way down the ${gapMm.toFixed(1)} mm gap`;
+  return `The drop is ${where}, ${describeMotion(velocity)}. ${field}`;
+}
+
+export function describeContact({ plate, mode }) {
+  if (mode === 'stick') return `Drop stuck to the ${plate} plate.`;
+  if (mode === 'lost') return `Drop lost at the ${plate} plate.`;
+  return `Drop hit the ${plate} plate.`;
+}
+
+// One announcement per visit: a drop resting on a plate touches it every substep, so a plate is
+// re-armed only after the drop has moved `rearm` of the gap away from it (or another drop is watched).
+export function createContactWatch({ rearm = 0.05 } = {}) {
+  const watch = {
+    rearm,
+    dropId: null,
+    plate: null,
+    // Returns the contact when it should be announced, otherwise null
+    contact(event) {
+      if (event.dropId === watch.dropId && event.plate === watch.plate) return null;
+      watch.dropId = event.dropId; watch.plate = event.plate;
+      return event;
+    },
+    update(drop, state) {
+      if (drop.id !== watch.dropId) { watch.dropId = null; watch.plate = null; return; }
+      const frac = drop.y / state.plateGapMeters;
+      if ((watch.plate === 'top' && frac > watch.rearm) || (watch.plate === 'bottom' && frac < 1 - watch.rearm)) watch.plate = null;
+    },
+  };
+  return watch;
+}
+
+// Balance: the field holds the drop when its drift (m g + q E) / drag is a small fraction of the
+// field-free fall speed. Hysteresis between `enter` and `leave` keeps noise-free drift from
+// flickering at the threshold. update() returns 'balanced' or 'unbalanced' on a change, else null.
+export function createBalanceWatch({ enter = 0.02, leave = 0.05 } = {}) {
+  const watch = {
+    enter,
+    leave,
+    balanced: false,
+    update(drop, state, E) {
+      const fall = (drop.mass * state.gravity) / drop.dragCoeff;
+      const held = state.fieldEnabled && E !== 0 && !drop.stuck && !drop.lost && fall > 0;
+      const ratio = held ? Math.abs((drop.mass * state.gravity + drop.chargeCoulombs * E) / drop.dragCoeff) / fall : Infinity;
+      const next = watch.balanced ? ratio <= watch.leave : ratio <= watch.enter;
+      if (next === watch.balanced) return null;
+      watch.balanced = next;
+      return next ? 'balanced' : 'unbalanced';
+    },
+    reset() { watch.balanced = false; },
+  };
+  return watch;
+}
@@ -0,0 +1,85 @@
+// diffusion.js - field-off Brownian diffusion experiment: record a drop's vertical track, compute
+// the mean-squared displacement against lag time, fit D and invert it for k_B or the radius
+// through the Stokes-Einstein relation D = k T / drag (no DOM access)
+
+import { BOLTZMANN, computeSlipCorrection } from './engine.js';
+
+// Records the selected drop at a fixed sim-time interval while the field is off. The run ends
+// itself when the drop nears a plate (bounces would bias the displacements), sticks, is lost,
+// or when the field comes back on or a different drop is selected.
+export function createDiffusionRun({ interval = 0.05, edgeMargin = 0.03 } = {}) {
+  const run = {
+    interval,
+    edgeMargin,
+    active: false,
+    dropId: null,
+    samples: [], // { t, y }
+    stopReason: null,
+    start(drop) { run.samples = []; run.dropId = drop.id; run.active = true; run.stopReason = null; },
+    stop(reason = 'stopped') { if (run.active) { run.active = false; run.stopReason = reason; } },
+    clear() { run.active = false; run.samples = []; run.dropId = null; run.stopReason = null; },
+    duration() { return run.samples.length > 1 ? run.samples[run.samples.length - 1].t - run.samples[0].t : 0; },
+    // Feed the selected drop once per frame; returns true while the run is still recording
+    capture(time, drop, state) {
+      if (!run.active) return false;
+      const frac = drop.y / state.plateGapMeters;
+      if (drop.id !== run.dropId) run.stop('another drop was selected');
+      else if (state.fieldEnabled) run.stop('the field was switched on');
+      else if (drop.stuck || drop.lost || frac < run.edgeMargin || frac > 1 - run.edgeMargin) run.stop('the drop reached a plate');
+      if (!run.active) return false;
+      const last = run.samples[run.samples.length - 1];
+      if (!last || time - last.t >= run.interval - 1e-6) run.samples.push({ t: time, y: drop.y });
+      return true;
+    },
+  };
+  return run;
+}
+
+// MSD at lags of 1..maxLag samples from all overlapping windows. The mean displacement (steady
+// gravitational settling) is subtracted, so each point is the variance 2 D tau of the diffusion.
+export function meanSquaredDisplacement(samples, { maxLag = 10 } = {}) {
+  const points = [];
+  const lags = Math.min(maxLag, Math.floor((samples.length - 1) / 4));
+  for (let k = 1; k <= lags; k++) {
+    let sum = 0, sumSq = 0, sumTau = 0; const count = samples.length - k;
+    for (let i = 0; i < count; i++) {
+      const d = samples[i + k].y - samples[i].y;
+      sum += d; sumSq += d * d; sumTau += samples[i + k].t - samples[i].t;
+    }
+    const drift = sum / count;
+    points.push({ lag: sumTau / count, msd: sumSq / count - drift * drift, drift: drift / (sumTau / count), count });
+  }
+  return points;
+}
+
+// Weighted least-squares line through the origin, MSD = 2 D tau. Overlapping windows make the
+// scatter of a point grow roughly as tau^1.5, so points are weighted by 1 / tau^3 and the short
+// lags dominate. The uncertainty is the scatter of the shortest-lag variance, whose increments
+// are independent: D sqrt(2 / N).
+export function fitDiffusion(points) {
+  if (!points.length) return null;
+  const sumW = points.reduce((s, p) => s + 1 / p.lag, 0); // sum of w tau^2
+  const sumWM = points.reduce((s, p) => s + p.msd / (p.lag * p.lag), 0); // sum of w tau msd
+  const D = sumWM / (2 * sumW);
+  if (!(D > 0)) return null;
+  return { D, uncertainty: D * Math.sqrt(2 / points[0].count), settlingVelocity: points[0].drift };
+}
+
+// Compare a fitted D with the engine's drop. The Brownian boost scales the noise amplitude, so it
+// acts as an effective temperature T boost^2 in every relation below.
+// - expectedD: k T boost^2 / drag, what the noise term should produce
+// - boltzmann: D drag / (T boost^2), to set against BOLTZMANN
+// - radiusMeters: r solving D = k T boost^2 C(r) / (6 pi eta r) for the true k
+export function diffusionEstimates(D, drop, state) {
+  const effectiveT = state.temperatureK * state.noiseBoost * state.noiseBoost;
+  const expectedD = (BOLTZMANN * effectiveT) / drop.dragCoeff;
+  if (!(D > 0) || !(effectiveT > 0)) return { expectedD, boltzmann: null, radiusMeters: null };
+  const boltzmann = (D * drop.dragCoeff) / effectiveT;
+  let r = (BOLTZMANN * effectiveT) / (6 * Math.PI * state.viscosity * D);
+  for (let i = 0; i < 50; i++) {
+    const next = (BOLTZMANN * effectiveT * computeSlipCorrection(r, state.meanFreePath)) / (6 * Math.PI * state.viscosity * D);
+    if (Math.abs(next - r) < 1e-15) { r = next; break; }
+    r = next;
+  }
+  return { expectedD, boltzmann, radiusMeters: r };
+}
@@ -0,0 +1,266 @@
+// engine.js - headless Millikan oil drop physics (no DOM access)
+// Shared by main.js in the browser and by Node scripts (see sim/api.js and dev/).
+
+import { createRng, randomSeed } from './rng.js';
+import { createWaveform, evaluateWaveform } from './waveform.js';
+import { STANDARD_PRESSURE, resolveGas, sutherlandViscosity, gasDensity, meanFreePath } from './gas.js';
+
+// Physics constants
+export const ELECTRON_CHARGE = 1.602e-19;
+export const OIL_DENSITY = 860; // kg/m^3
+export const AIR_DENSITY = 1.2; // kg/m^3, room air; the chamber gas model overrides it
+export const BOLTZMANN = 1.380649e-23;
+export const AIR_MEAN_FREE_PATH = 65e-9; // m, room air; the chamber gas model overrides it
+export const CUNNINGHAM_A = 1.257;
+export const CUNNINGHAM_B = 0.4;
+export const CUNNINGHAM_C = 1.1;
+
+// Integrator constants
+export const MAX_FRAME_DT = 1 / 20;
+export const SUBSTEP_DT = 1 / 1800;
+export const BASE_MAX_SPEED = 0.12; // m/s
+export const BOUNCE_DAMPING = 0.3;
+export const MIN_GAP_METERS = 0.002;
+export const MAX_GAP_METERS = 0.01;
+export const INTEGRATORS = ['exact', 'semi-implicit', 'euler'];
+export const PLATE_CONTACT_MODES = ['bounce', 'stick', 'lost'];
+
+// --- Utilities
+export function clamp(v, a, b) { return Math.min(Math.max(v, a), b); }
+export function gaussianRandom(random = Math.random) {
+  let u=0, v=0; while(u===0) u=random(); while(v===0) v=random();
+  return Math.sqrt(-2*Math.log(u)) * Math.cos(2*Math.PI*v);
+}
+
+// --- State factories
+export function createState(overrides = {}) {
+  const state = {
+    voltageKV: 2.0,
+    plateGapMeters: 0.005,
+    radiusMicrons: 0.9,
+    viscosity: 1.8e-5,
+    temperatureK: 295,
+    noiseBoost: 1,
+    fieldEnabled: true,
+    gravity: 9.81,
+    pulseTimer: 0,
+    fieldPolarity: 1,
+    waveform: createWaveform(),
+    integrator: 'exact', // see integrateStep
+    speedCap: true, // clamp |v| to a dynamic cap so far-off-balance drops still move visibly
+    plateContact: 'bounce', // 'bounce' | 'stick' | 'lost'
+    gas: 'air',
+    pressurePa: STANDARD_PRESSURE,
+    manualViscosity: false, // true: keep `viscosity` as set instead of Sutherland's law
+    gasDensity: AIR_DENSITY,
+    meanFreePath: AIR_MEAN_FREE_PATH,
+    ...overrides,
+  };
+  applyEnvironment(state);
+  return state;
+}
+
+// Derive viscosity (unless set manually), gas density and mean free path from the chamber
+// gas, temperature and pressure. Call after changing any of them, then recompute the drops.
+export function applyEnvironment(state) {
+  state.gas = resolveGas(state.gas);
+  if (!state.manualViscosity) state.viscosity = sutherlandViscosity(state.gas, state.temperatureK);
+  state.gasDensity = gasDensity(state.gas, state.temperatureK, state.pressurePa);
+  state.meanFreePath = meanFreePath(state.gas, state.temperatureK, state.pressurePa, state.viscosity);
+  return state;
+}
+
+let nextDropId = 1;
+
+export function createDrop(state, overrides = {}) {
+  const { radiusMicrons = state.radiusMicrons, chargeMultiple = -8, ...rest } = overrides;
+  const drop = {
+    id: nextDropId++,
+    x: 0.5, // horizontal position across the plates (0..1), display only
+    y: state.plateGapMeters * 0.35,
+    velocity: 0,
+    chargeMultiple,
+    chargeCoulombs: chargeMultiple * ELECTRON_CHARGE,
+    radiusMeters: radiusMicrons * 1e-6,
+    mass: 0,
+    slipFactor: 1,
+    dragCoeff: 0,
+    stuck: false, // held on a plate after contact ('stick' mode)
+    lost: false, // removed from view after contact ('lost' mode)
+    ...rest,
+  };
+  recomputeDropCoefficients(state, drop);
+  return drop;
+}
+
+// Droplet cloud: radii are normal around radiusMean (clamped to the slider range),
+// charges are uniform in ±[1, chargeMax] e, and drops are spread across the plates.
+export function createPopulation(state, random = Math.random, options = {}) {
+  const { count = 1, radiusMean = state.radiusMicrons, radiusSpread = 0, chargeMax = 12 } = options;
+  const n = Math.max(1, Math.round(count));
+  const drops = [];
+  for (let i = 0; i < n; i++) {
+    const radiusMicrons = +clamp(radiusMean + radiusSpread * gaussianRandom(random), 0.3, 1.5).toFixed(2);
+    const chargeMultiple = (random() > 0.5 ? 1 : -1) * (1 + Math.floor(random() * Math.max(1, chargeMax)));
+    const slot = n === 1 ? 0.5 : 0.15 + (0.7 * i) / (n - 1);
+    const jitter = n === 1 ? 0 : (random() - 0.5) * (0.35 / n);
+    const y = state.plateGapMeters * (0.15 + random() * 0.5);
+    drops.push(createDrop(state, { radiusMicrons, chargeMultiple, x: clamp(slot + jitter, 0.08, 0.92), y }));
+  }
+  return drops;
+}
+
+// --- Physics
+export function computeSlipCorrection(radiusMeters, meanFreePath = AIR_MEAN_FREE_PATH) {
+  const r = Math.max(radiusMeters, 5e-9);
+  const kn = meanFreePath / r;
+  return 1 + kn * (CUNNINGHAM_A + CUNNINGHAM_B * Math.exp(-CUNNINGHAM_C / kn));
+}
+
+export function recomputeDropCoefficients(state, drop) {
+  const volume = (4/3) * Math.PI * Math.pow(drop.radiusMeters, 3);
+  const effDensity = Math.max(OIL_DENSITY - (state.gasDensity ?? AIR_DENSITY), 1);
+  drop.mass = Math.max(volume * effDensity, 1e-20);
+  drop.slipFactor = computeSlipCorrection(drop.radiusMeters, state.meanFreePath);
+  drop.dragCoeff = (6 * Math.PI * state.viscosity * drop.radiusMeters) / drop.slipFactor;
+}
+
+// Plate voltage actually applied at sim time t: the waveform when one is running, else the slider value
+export function appliedVoltageKV(state, time = 0) {
+  return state.waveform && state.waveform.enabled ? evaluateWaveform(state.waveform, time) : state.voltageKV;
+}
+
+export function computeElectricField(state, time = 0) {
+  if (!state.fieldEnabled) return 0;
+  const gap = Math.max(state.plateGapMeters, 1e-5);
+  return (appliedVoltageKV(state, time) * 1000 * state.fieldPolarity) / gap;
+}
+
+// Random "mystery drop" setup, as used by the New drop button
+export function randomDropSetup(random = Math.random) {
+  const radiusMicrons = +(0.4 + random()*0.9).toFixed(2);
+  const voltageKV = +(0.5 + random()*5.5).toFixed(2);
+  const chargeMultiple = (random() > 0.5 ? 1 : -1)*(2 + Math.floor(random()*12));
+  const gapMm = +(2 + random()*6).toFixed(1);
+  return { radiusMicrons, voltageKV, chargeMultiple, gapMm };
+}
+
+// Integrator step for a single drop; `random` feeds the Brownian noise term.
+// state.integrator picks the scheme for m dv = (F - gamma v) dt + sqrt(2 gamma k T) dW:
+//  'exact'         - exact Ornstein-Uhlenbeck update of velocity and position over dt (Gillespie),
+//                    valid for any step; with m/gamma << dt it is the overdamped drift + diffusion
+//  'semi-implicit' - drag taken at the end of the step, unconditionally stable
+//  'euler'         - the original explicit Euler step; unstable once dt gamma/m > 2, so it leans
+//                    on the speed cap and a softened noise term
+// Returns 'top' or 'bottom' when the drop touches a plate during the step, otherwise null.
+export function integrateStep(state, drop, dt, E, random = Math.random) {
+  if (drop.stuck || drop.lost) return null;
+  if (!Number.isFinite(drop.dragCoeff) || drop.dragCoeff <= 0) recomputeDropCoefficients(state, drop);
+  const gravityForce = drop.mass * state.gravity;
+  const electricForce = drop.chargeCoulombs * E;
+  const dragCoeff = drop.dragCoeff;
+  const deterministicNet = gravityForce + electricForce;
+  const vtAnalytic = dragCoeff > 0 ? deterministicNet / dragCoeff : 0;
+  const kT = BOLTZMANN * state.temperatureK;
+
+  if (state.integrator === 'exact') {
+    const rate = dragCoeff / drop.mass; const decay = Math.exp(-rate * dt); const decay2 = decay * decay;
+    const thermal = (state.noiseBoost * state.noiseBoost * kT) / drop.mass; // <v^2> about the drift
+    const varV = thermal * (1 - decay2);
+    const varY = (thermal / (rate * rate)) * Math.max(2 * rate * dt - 3 + 4 * decay - decay2, 0);
+    const cov = (thermal / rate) * (1 - decay) * (1 - decay);
+    const n1 = gaussianRandom(random), n2 = gaussianRandom(random);
+    const dv = Math.sqrt(varV) * n1;
+    const dy = varV > 0 ? (cov / Math.sqrt(varV)) * n1 + Math.sqrt(Math.max(varY - (cov * cov) / varV, 0)) * n2 : 0;
+    drop.y += vtAnalytic * dt + ((drop.velocity - vtAnalytic) * (1 - decay)) / rate + dy;
+    drop.velocity = vtAnalytic + (drop.velocity - vtAnalytic) * decay + dv;
+  } else if (state.integrator === 'semi-implicit') {
+    const noiseForce = state.noiseBoost * Math.sqrt((2 * kT * dragCoeff) / Math.max(dt, 1e-9)) * gaussianRandom(random);
+    drop.velocity = (drop.velocity + (dt * (deterministicNet + noiseForce)) / drop.mass) / (1 + (dt * dragCoeff) / drop.mass);
+  } else {
+    const noiseStd = 0.6 * Math.sqrt((2 * kT * dragCoeff) / Math.max(dt, 1e-6));
+    const noiseForce = state.noiseBoost * noiseStd * gaussianRandom(random);
+    const netForce = deterministicNet - dragCoeff * drop.velocity + noiseForce;
+    drop.velocity += (netForce / drop.mass) * dt;
+  }
+
+  // Dynamic speed cap (so "wrong" inputs actually fall/rise noticeably)
+  if (state.speedCap) {
+    const dynamicCap = Math.max(2 * Math.abs(vtAnalytic), 0.02);
+    const speedCap = Math.max(dynamicCap, BASE_MAX_SPEED * 0.25);
+    drop.velocity = clamp(drop.velocity, -speedCap, speedCap);
+  }
+
+  if (state.integrator !== 'exact') drop.y += drop.velocity * dt;
+
+  const maxY = state.plateGapMeters;
+  const plate = drop.y < 0 ? 'top' : drop.y > maxY ? 'bottom' : null;
+  if (!plate) return null;
+  drop.y = plate === 'top' ? 0 : maxY;
+  if (state.plateContact === 'stick' || state.plateContact === 'lost') { drop.velocity = 0; drop[state.plateContact === 'stick' ? 'stuck' : 'lost'] = true; }
+  else drop.velocity *= -BOUNCE_DAMPING;
+  return plate;
+}
+
+// Advance the pulse timer by one substep, restoring normal polarity when it expires
+function advancePulse(state, dt) {
+  state.pulseTimer = Math.max(0, state.pulseTimer - dt);
+  if (state.pulseTimer === 0 && state.fieldPolarity !== 1) { state.fieldPolarity = 1; }
+}
+
+// --- Simulation object: state + drops in, step(dt) out
+// Noise and drop randomization draw from separate seeded streams, so the same seed
+// gives the same sequence of mystery drops regardless of how long each one ran.
+// `drop` is the selected member of `drops`; every drop sees the same field.
+// `controllers` are functions (sim, dt) run before every substep, e.g. the balance hold.
+// Contact listeners get { t, dropId, plate, mode } whenever a drop touches a plate.
+export function createSimulation({ state = createState(), drop, drops, seed } = {}) {
+  const sim = {
+    state,
+    drops: drops ?? [drop ?? createDrop(state)],
+    selected: 0,
+    time: 0,
+    pending: 0, // seconds requested but short of a whole substep
+    controllers: [],
+    contactListeners: [],
+    seed: 0,
+    random: Math.random,
+    dropRandom: Math.random,
+    get drop() { return sim.drops[sim.selected]; },
+    reseed(seed = randomSeed()) {
+      sim.random = createRng(seed);
+      sim.seed = sim.random.seed;
+      sim.dropRandom = createRng((sim.seed ^ 0x9E3779B9) >>> 0);
+      return sim.seed;
+    },
+    // Integrate dt seconds in whole substeps; returns the field at the end of the step. The
+    // fraction of a substep left over is carried to the next call, so the trajectory of a seed
+    // does not depend on how the time is split into frames.
+    step(dt) {
+      sim.pending += Number.isFinite(dt) ? Math.max(0, dt) : 0;
+      const substeps = Math.floor(sim.pending / SUBSTEP_DT + 1e-9);
+      sim.pending = Math.max(0, sim.pending - substeps * SUBSTEP_DT);
+      let E = computeElectricField(state, sim.time);
+      for (let i = 0; i < substeps; i++) {
+        advancePulse(state, SUBSTEP_DT);
+        for (const control of sim.controllers) control(sim, SUBSTEP_DT);
+        E = computeElectricField(state, sim.time);
+        const contacts = [];
+        for (const d of sim.drops) { const plate = integrateStep(state, d, SUBSTEP_DT, E, sim.random); if (plate) contacts.push({ dropId: d.id, plate, mode: state.plateContact }); }
+        sim.time += SUBSTEP_DT;
+        for (const contact of contacts) sim.contactListeners.forEach(listener => listener({ t: sim.time, ...contact }));
+      }
+      return E;
+    },
+    onContact(listener) { sim.contactListeners.push(listener); },
+    field() { return computeElectricField(state, sim.time); },
+    voltage() { return appliedVoltageKV(state, sim.time); },
+    recompute() { sim.drops.forEach(d => recomputeDropCoefficients(state, d)); },
+    select(index) { sim.selected = clamp(Math.round(index), 0, sim.drops.length - 1); return sim.drop; },
+    setDrops(list) { sim.drops = list.length ? list : [createDrop(state)]; sim.selected = 0; return sim.drops; },
+    populate(options) { return sim.setDrops(createPopulation(state, sim.dropRandom, options)); },
+    randomDropSetup() { return randomDropSetup(sim.dropRandom); },
+  };
+  sim.reseed(seed);
+  return sim;
+}
@@ -0,0 +1,36 @@
+// gas.js - chamber gas properties: Sutherland viscosity, ideal-gas density and kinetic-theory
+// mean free path for the chosen gas, temperature and pressure (no DOM access)
+
+export const GAS_CONSTANT = 8.314462618; // J/(mol K)
+export const STANDARD_PRESSURE = 101325; // Pa
+export const MIN_PRESSURE_PA = 1000;
+export const MAX_PRESSURE_PA = 200000;
+
+// Sutherland's law mu = mu0 (T / T0)^1.5 (T0 + S) / (T + S), with reference viscosity mu0 at T0
+export const GASES = {
+  air: { label: 'Air', molarMass: 0.02897, mu0: 1.716e-5, T0: 273.15, S: 110.4 },
+  nitrogen: { label: 'Nitrogen', molarMass: 0.028014, mu0: 1.663e-5, T0: 273.15, S: 106.7 },
+  helium: { label: 'Helium', molarMass: 0.0040026, mu0: 1.87e-5, T0: 273.15, S: 79.4 },
+  argon: { label: 'Argon', molarMass: 0.039948, mu0: 2.125e-5, T0: 273.15, S: 144.4 },
+};
+
+export function resolveGas(name) {
+  const key = String(name ?? '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(GASES, key) ? key : 'air';
+}
+
+export function sutherlandViscosity(gasName, temperatureK) {
+  const { mu0, T0, S } = GASES[resolveGas(gasName)];
+  return mu0 * Math.pow(temperatureK / T0, 1.5) * (T0 + S) / (temperatureK + S);
+}
+
+export function gasDensity(gasName, temperatureK, pressurePa) {
+  return (pressurePa * GASES[resolveGas(gasName)].molarMass) / (GAS_CONSTANT * temperatureK);
+}
+
+// lambda = (mu / p) sqrt(pi R T / (2 M)): about 65 nm for air at room conditions, growing as
+// the pressure drops, which is where the Cunningham slip correction starts to matter.
+export function meanFreePath(gasName, temperatureK, pressurePa, viscosity = sutherlandViscosity(gasName, temperatureK)) {
+  const { molarMass } = GASES[resolveGas(gasName)];
+  return (viscosity / pressurePa) * Math.sqrt((Math.PI * GAS_CONSTANT * temperatureK) / (2 * molarMass));
+}
@@ -0,0 +1,50 @@
+// graph.js - history graph math: nice axis ticks, autoscaled ranges, time lookup and the
+// two-cursor readout (no DOM access). Samples are { t, ... } sorted by time.
+
+// Round steps of 1, 2 or 5 times a power of ten covering [min, max] with about `target` ticks
+export function niceTicks(min, max, target = 4) {
+  let lo = Number.isFinite(min) ? min : 0, hi = Number.isFinite(max) ? max : 1;
+  if (hi - lo < 1e-12 * Math.max(1, Math.abs(hi))) { const pad = Math.abs(hi) > 0 ? Math.abs(hi) * 0.1 : 1; lo -= pad; hi += pad; }
+  const raw = (hi - lo) / Math.max(1, target);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw) ?? 10 * magnitude;
+  const first = Math.floor(lo / step) * step, last = Math.ceil(hi / step) * step;
+  const ticks = [];
+  for (let v = first; v <= last + step * 1e-6; v += step) ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+  const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+  return { min: first, max: last, step, ticks, decimals };
+}
+
+// Index of the first sample with t >= time
+export function lowerBound(samples, time) {
+  let lo = 0, hi = samples.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (samples[mid].t < time) lo = mid + 1; else hi = mid; }
+  return lo;
+}
+
+// Samples inside [t0, t1] plus one neighbour on each side so lines reach the plot edges
+export function visibleRange(samples, t0, t1) {
+  const start = Math.max(0, lowerBound(samples, t0) - 1);
+  const end = Math.min(samples.length, lowerBound(samples, t1) + 1);
+  return samples.slice(start, end);
+}
+
+// Linear interpolation of value(sample) at time t, clamped to the recorded span
+export function valueAt(samples, t, value) {
+  if (!samples.length) return null;
+  const i = lowerBound(samples, t);
+  if (i <= 0) return value(samples[0]);
+  if (i >= samples.length) return value(samples[samples.length - 1]);
+  const a = samples[i - 1], b = samples[i];
+  const f = b.t > a.t ? (t - a.t) / (b.t - a.t) : 0;
+  return value(a) + f * (value(b) - value(a));
+}
+
+// Readout between cursors A and B: elapsed time, change in y (positive downward, like the
+// engine) and the average velocity over the interval
+export function cursorReadout(samples, tA, tB) {
+  const yA = valueAt(samples, tA, s => s.y), yB = valueAt(samples, tB, s => s.y);
+  if (yA === null || yB === null) return null;
+  const dt = tB - tA, dy = yB - yA;
+  return { dt, dy, averageVelocity: dt !== 0 ? dy / dt : null };
+}
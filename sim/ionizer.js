@@ -0,0 +1,44 @@
+// ionizer.js - ionizing source that makes drops gain or lose single electrons at random
+// (no DOM access). Run as one of sim.controllers so events land on exact substeps.
+
+import { ELECTRON_CHARGE, clamp } from './engine.js';
+
+export const MAX_CHARGE_MULTIPLE = 25; // same limit as the charge slider
+
+// Knuth's method; fine for the small means (rate * substep) used here
+export function poissonRandom(mean, random = Math.random) {
+  if (!(mean > 0)) return 0;
+  const limit = Math.exp(-mean);
+  let k = 0, p = 1;
+  do { k++; p *= random(); } while (p > limit);
+  return k - 1;
+}
+
+// rate: mean charge events per second per drop; each event is +1e or -1e with equal odds
+export function createIonizer({ rate = 0.2, enabled = false, maxEvents = 500 } = {}) {
+  const ionizer = {
+    rate,
+    enabled,
+    maxEvents,
+    events: [], // { t, dropId, delta, chargeMultiple }
+    listeners: [],
+    onEvent(listener) { ionizer.listeners.push(listener); },
+    clear() { ionizer.events.length = 0; },
+    update(sim, dt) {
+      if (!ionizer.enabled || !(ionizer.rate > 0)) return;
+      for (const d of sim.drops) {
+        const count = poissonRandom(ionizer.rate * dt, sim.random);
+        for (let i = 0; i < count; i++) {
+          const delta = sim.random() < 0.5 ? -1 : 1;
+          const next = clamp(d.chargeMultiple + delta, -MAX_CHARGE_MULTIPLE, MAX_CHARGE_MULTIPLE);
+          if (next === d.chargeMultiple) continue;
+          d.chargeMultiple = next; d.chargeCoulombs = next * ELECTRON_CHARGE;
+          const event = { t: sim.time, dropId: d.id, delta, chargeMultiple: next };
+          ionizer.events.push(event); if (ionizer.events.length > ionizer.maxEvents) ionizer.events.shift();
+          ionizer.listeners.forEach(listener => listener(event));
+        }
+      }
+    },
+  };
+  return ionizer;
+}
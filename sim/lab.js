@@ -0,0 +1,52 @@
+// lab.js - hidden-parameter "student lab" rounds: mystery drop setup and answer scoring (no DOM access)
+
+import { clamp } from './engine.js';
+
+// Difficulty presets: smaller drops and a stronger Brownian boost make timings noisier,
+// and only the easy level leaves the automatic charge analysis available.
+export const LAB_DIFFICULTIES = {
+  easy: { label: 'Easy', radius: [0.8, 1.3], charge: [1, 6], noiseBoost: 0.5, analysis: true, radiusTolerance: [0.08, 0.3] },
+  medium: { label: 'Medium', radius: [0.5, 1.2], charge: [2, 12], noiseBoost: 1, analysis: false, radiusTolerance: [0.05, 0.25] },
+  hard: { label: 'Hard', radius: [0.3, 0.8], charge: [4, 20], noiseBoost: 1.5, analysis: false, radiusTolerance: [0.04, 0.2] },
+};
+
+export function resolveDifficulty(name) {
+  const key = String(name ?? '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LAB_DIFFICULTIES, key) ? key : 'medium';
+}
+
+// Mystery drop for one round, drawn from the seeded drop stream
+export function labDropSetup(random, difficulty) {
+  const level = LAB_DIFFICULTIES[resolveDifficulty(difficulty)];
+  const [rMin, rMax] = level.radius; const [qMin, qMax] = level.charge;
+  const radiusMicrons = +(rMin + random() * (rMax - rMin)).toFixed(2);
+  const chargeMultiple = (random() > 0.5 ? 1 : -1) * (qMin + Math.floor(random() * (qMax - qMin + 1)));
+  const gapMm = +(3 + random() * 5).toFixed(1);
+  return { radiusMicrons, chargeMultiple, gapMm, noiseBoost: level.noiseBoost };
+}
+
+// Linear credit: full marks up to `full` relative error, nothing beyond `zero`
+function relativeCredit(error, full, zero) { return clamp(1 - (error - full) / (zero - full), 0, 1); }
+
+// Score a submitted answer against the hidden truth. Charge is judged on its magnitude in
+// units of e (the sign earns a small bonus), radius on its relative error. Total is 0..100.
+export function scoreLabAnswer(truth, answer, difficulty) {
+  const level = LAB_DIFFICULTIES[resolveDifficulty(difficulty)];
+  const trueN = Math.abs(truth.chargeMultiple);
+  const answerN = Number(answer.chargeMultiple);
+  let charge = { truth: truth.chargeMultiple, answer: Number.isFinite(answerN) ? answerN : null, score: 0 };
+  if (charge.answer !== null) {
+    const off = Math.abs(Math.abs(answerN) - trueN);
+    const magnitude = off < 0.5 ? 1 : relativeCredit(off / trueN, 0, 0.5) * 0.6;
+    const signBonus = answerN !== 0 && Math.sign(answerN) === Math.sign(truth.chargeMultiple) ? 1 : 0;
+    charge = { ...charge, error: off, score: 0.9 * magnitude + 0.1 * signBonus };
+  }
+  const answerR = Number(answer.radiusMicrons);
+  let radius = { truth: truth.radiusMicrons, answer: Number.isFinite(answerR) && answerR > 0 ? answerR : null, score: 0 };
+  if (radius.answer !== null) {
+    const error = Math.abs(answerR - truth.radiusMicrons) / truth.radiusMicrons;
+    radius = { ...radius, error, score: relativeCredit(error, ...level.radiusTolerance) };
+  }
+  const total = Math.round(100 * (0.6 * charge.score + 0.4 * radius.score));
+  return { charge, radius, total };
+}
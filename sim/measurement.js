@@ -0,0 +1,62 @@
+// measurement.js - virtual stopwatch between two reticle lines (no DOM access)
+// Reticle positions are fractions of the plate gap measured from the top plate,
+// so a drop falling under gravity moves from `upper` towards `lower`.
+
+export function createStopwatch({ upper = 0.25, lower = 0.75 } = {}) {
+  const watch = {
+    upper,
+    lower,
+    active: null, // { kind, start } while the drop is between the lines
+    results: [],
+    last: null, // previous { time, frac } sample
+    setLines(a, b) {
+      const top = Math.min(a, b), bottom = Math.max(a, b);
+      watch.upper = Math.max(0, top); watch.lower = Math.min(1, Math.max(bottom, watch.upper + 0.02));
+      watch.reset();
+    },
+    reset() { watch.active = null; watch.last = null; },
+    clear() { watch.results.length = 0; watch.reset(); },
+    elapsed(time) { return watch.active ? time - watch.active.start : 0; },
+    // Feed the drop's position (fraction of gap) at a given sim time; returns a completed
+    // timing record when the drop has just crossed the second line, otherwise null.
+    sample(time, frac, context = {}) {
+      const prev = watch.last; watch.last = { time, frac };
+      if (!prev || time <= prev.time) return null;
+      const crossing = (line) => {
+        if ((prev.frac - line) * (frac - line) > 0 || prev.frac === frac) return null;
+        const t = prev.time + (time - prev.time) * ((line - prev.frac) / (frac - prev.frac));
+        return { t, downward: frac > prev.frac };
+      };
+      const atUpper = crossing(watch.upper), atLower = crossing(watch.lower);
+      if (!watch.active) {
+        if (atUpper && atUpper.downward && !atLower) watch.active = { kind: 'fall', start: atUpper.t };
+        else if (atLower && !atLower.downward && !atUpper) watch.active = { kind: 'rise', start: atLower.t };
+        return null;
+      }
+      const { kind, start } = watch.active;
+      const finish = kind === 'fall' ? atLower : atUpper;
+      const retreat = kind === 'fall' ? atUpper : atLower;
+      if (finish && finish.downward === (kind === 'fall')) {
+        watch.active = null;
+        const duration = finish.t - start;
+        if (duration <= 0) return null;
+        const distanceMeters = (watch.lower - watch.upper) * (context.gapMeters ?? 0);
+        const record = {
+          kind,
+          duration,
+          distanceMeters,
+          velocity: distanceMeters / duration, // m/s, magnitude
+          fieldOn: !!context.fieldOn,
+          voltageKV: context.voltageKV ?? 0,
+          dropId: context.dropId ?? null,
+          endedAt: finish.t,
+        };
+        watch.results.push(record);
+        return record;
+      }
+      if (retreat) watch.active = null; // drop went back out the way it came in
+      return null;
+    },
+  };
+  return watch;
+}
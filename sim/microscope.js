@@ -0,0 +1,43 @@
+// microscope.js - eyepiece view model: horizontal Brownian drift and depth relative to the
+// focal plane for every drop (no DOM access). The engine only integrates the vertical motion;
+// the two unobserved axes diffuse freely with the Einstein coefficient D = k T / drag.
+
+import { BOLTZMANN, clamp, gaussianRandom } from './engine.js';
+import { createRng } from './rng.js';
+
+export const DEPTH_OF_FIELD_METERS = 30e-6; // defocus at which a spot's blur radius has doubled
+export const MAX_FOCUS_METERS = 200e-6;
+
+export function createMicroscope({ seed = 0, depthSpread = DEPTH_OF_FIELD_METERS } = {}) {
+  const microscope = {
+    focusMeters: 0, // focal plane offset, moved with the focus knob (mouse wheel)
+    depthSpread,
+    random: createRng(seed),
+    offsets: new Map(), // drop id -> { dx, dz } in meters
+    // Separate stream so looking through the eyepiece never changes the vertical noise sequence
+    reseed(value) { microscope.random = createRng((value ^ 0x85EBCA6B) >>> 0); microscope.offsets.clear(); },
+    offset(drop) {
+      let entry = microscope.offsets.get(drop.id);
+      if (!entry) { entry = { dx: 0, dz: microscope.depthSpread * gaussianRandom(microscope.random) }; microscope.offsets.set(drop.id, entry); }
+      return entry;
+    },
+    // Free diffusion over dt is exact for any step: each axis moves by sqrt(2 D dt) N(0, 1)
+    update(sim, dt) {
+      const { state } = sim;
+      for (const d of sim.drops) {
+        const entry = microscope.offset(d);
+        if (!(dt > 0) || !(d.dragCoeff > 0)) continue;
+        const sigma = state.noiseBoost * Math.sqrt((2 * BOLTZMANN * state.temperatureK * dt) / d.dragCoeff);
+        const halfWidth = state.plateGapMeters / 2;
+        entry.dx = clamp(entry.dx + sigma * gaussianRandom(microscope.random), -halfWidth, halfWidth);
+        entry.dz = clamp(entry.dz + sigma * gaussianRandom(microscope.random), -MAX_FOCUS_METERS, MAX_FOCUS_METERS);
+      }
+      for (const id of microscope.offsets.keys()) if (!sim.drops.some(d => d.id === id)) microscope.offsets.delete(id);
+    },
+    focus(deltaMeters) { microscope.focusMeters = clamp(microscope.focusMeters + deltaMeters, -MAX_FOCUS_METERS, MAX_FOCUS_METERS); return microscope.focusMeters; },
+    // Defocus blur: 1 in the focal plane, growing as sqrt(1 + (z / DOF)^2) away from it
+    blur(drop) { const z = microscope.offset(drop).dz - microscope.focusMeters; return Math.sqrt(1 + Math.pow(z / DEPTH_OF_FIELD_METERS, 2)); },
+  };
+  microscope.reseed(seed);
+  return microscope;
+}
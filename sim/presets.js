@@ -0,0 +1,115 @@
+// presets.js - named experiment setups, user presets in localStorage and share-link encoding
+// (no DOM access; the storage object is passed in so Node scripts can use a stand-in)
+
+import { clamp } from './engine.js';
+import { resolveGas } from './gas.js';
+
+export const PRESET_STORAGE_KEY = 'millikan.presets';
+
+// Preset key, URL parameter, type and range. Viscosity is in units of 1e-5 Pa s and only
+// applies when manualViscosity is set; otherwise Sutherland's law derives it from the gas.
+export const PRESET_FIELDS = [
+  ['voltageKV', 'v', 'number', 0, 8],
+  ['gapMm', 'gap', 'number', 2, 10],
+  ['radiusMicrons', 'r', 'number', 0.3, 1.5],
+  ['chargeMultiple', 'q', 'integer', -25, 25],
+  ['temperatureK', 'temp', 'number', 260, 330],
+  ['noiseBoost', 'noise', 'number', 0, 2],
+  ['viscosity', 'eta', 'number', 1, 3],
+  ['manualViscosity', 'etafix', 'boolean'],
+  ['gas', 'gas', 'gas'],
+  ['pressureKPa', 'p', 'number', 1, 200],
+  ['fieldEnabled', 'field', 'boolean'],
+  ['showTrail', 'trail', 'boolean'],
+  ['showGrid', 'grid', 'boolean'],
+  ['eyepieceView', 'eyepiece', 'boolean'],
+  ['measureMode', 'measure', 'boolean'],
+];
+
+export const DEFAULT_PRESET = {
+  voltageKV: 2, gapMm: 5, radiusMicrons: 0.9, chargeMultiple: -8, temperatureK: 295, noiseBoost: 1,
+  viscosity: 1.8, manualViscosity: false, gas: 'air', pressureKPa: 101.325,
+  fieldEnabled: true, showTrail: true, showGrid: true, eyepieceView: false, measureMode: false,
+};
+
+export const BUILTIN_PRESETS = {
+  default: { label: 'Default', ...DEFAULT_PRESET },
+  // 1913 paper: 16 mm gap at about 5 kV; the same field in our 10 mm maximum gap, drops a few e
+  'millikan-1913': { label: 'Millikan 1913 conditions', ...DEFAULT_PRESET, voltageKV: 3.2, gapMm: 10, radiusMicrons: 1.3, chargeMultiple: -3, temperatureK: 296, pressureKPa: 100, measureMode: true },
+  brownian: { label: 'Small drop, strong Brownian motion', ...DEFAULT_PRESET, fieldEnabled: false, voltageKV: 0, radiusMicrons: 0.35, chargeMultiple: -1, noiseBoost: 2, eyepieceView: true },
+  // balance sits near 0.35 kV: find it with the number input
+  'near-balance': { label: 'Near-balance challenge', ...DEFAULT_PRESET, voltageKV: 0.5, gapMm: 6, radiusMicrons: 1.1, chargeMultiple: -5, measureMode: true },
+};
+
+function parseField(type, raw, min, max) {
+  if (type === 'boolean') return raw === true || raw === 1 || raw === '1' || raw === 'true';
+  if (type === 'gas') return resolveGas(raw);
+  const value = Number(raw);
+  if (raw === '' || raw === null || !Number.isFinite(value)) return undefined;
+  return type === 'integer' ? Math.round(clamp(value, min, max)) : clamp(value, min, max);
+}
+
+// Complete, range-checked preset: missing or invalid fields fall back to the defaults
+export function normalizePreset(raw = {}) {
+  const preset = { ...DEFAULT_PRESET };
+  for (const [key, , type, min, max] of PRESET_FIELDS) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    const value = parseField(type, raw[key], min, max);
+    if (value !== undefined) preset[key] = value;
+  }
+  return preset;
+}
+
+// Snapshot of the current setup from the state (including the UI toggles kept on it) and the selected drop
+export function capturePreset(state, drop) {
+  return normalizePreset({
+    voltageKV: state.voltageKV, gapMm: state.plateGapMeters * 1000, radiusMicrons: drop.radiusMeters * 1e6,
+    chargeMultiple: drop.chargeMultiple, temperatureK: state.temperatureK, noiseBoost: state.noiseBoost,
+    viscosity: state.viscosity / 1e-5, manualViscosity: state.manualViscosity, gas: state.gas, pressureKPa: state.pressurePa / 1000,
+    fieldEnabled: state.fieldEnabled, showTrail: state.showTrail, showGrid: state.showGrid, eyepieceView: state.eyepieceView, measureMode: state.measureMode,
+  });
+}
+
+export function presetToQuery(preset, seed) {
+  const params = new URLSearchParams();
+  for (const [key, param, type] of PRESET_FIELDS) {
+    const value = preset[key];
+    params.set(param, type === 'boolean' ? (value ? '1' : '0') : type === 'number' ? String(+Number(value).toFixed(4)) : String(value));
+  }
+  if (seed !== undefined && seed !== null) params.set('seed', String(seed));
+  return params.toString();
+}
+
+// Preset from a share-link query string, or null when the link carries no setup parameters
+export function presetFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const raw = {};
+  for (const [key, param] of PRESET_FIELDS) if (params.has(param)) raw[key] = params.get(param);
+  return Object.keys(raw).length ? normalizePreset(raw) : null;
+}
+
+export function loadUserPresets(storage) {
+  try {
+    const data = JSON.parse(storage?.getItem(PRESET_STORAGE_KEY) ?? '{}');
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+    return Object.fromEntries(Object.entries(data).map(([name, preset]) => [name, normalizePreset(preset)]));
+  } catch {
+    return {}; // unreadable storage is treated as empty rather than breaking the page
+  }
+}
+
+export function saveUserPreset(storage, name, preset) {
+  const key = String(name ?? '').trim();
+  if (!key) throw new Error('Give the preset a name.');
+  const presets = loadUserPresets(storage);
+  presets[key] = normalizePreset(preset);
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+export function deleteUserPreset(storage, name) {
+  const presets = loadUserPresets(storage);
+  delete presets[name];
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
@@ -0,0 +1,106 @@
+// recorder.js - full-run recording and CSV/JSON (de)serialization (no DOM access)
+
+import { appliedVoltageKV } from './engine.js';
+
+// Column key -> CSV header; every sample carries all of these
+export const RUN_COLUMNS = [
+  ['t', 't_s'],
+  ['y', 'y_m'],
+  ['velocity', 'velocity_m_per_s'],
+  ['field', 'field_V_per_m'],
+  ['voltageKV', 'voltage_kV'],
+  ['polarity', 'polarity'],
+  ['chargeMultiple', 'charge_e'],
+  ['chargeCoulombs', 'charge_C'],
+  ['radiusMeters', 'radius_m'],
+  ['temperatureK', 'temperature_K'],
+  ['gapMeters', 'gap_m'],
+  ['dropId', 'drop_id'],
+];
+
+export const RUN_FORMAT = 'millikan-run';
+const ROLL_OFF_CHUNK = 1000;
+
+// Records the given drop at a fixed sim-time interval. `t` is relative to the start of the run.
+// Past maxSamples the oldest samples roll off in chunks (counted in `dropped`), so a page left
+// open keeps only the latest stretch instead of growing without bound.
+export function createRunRecorder({ interval = 1 / 45, maxSamples = Infinity } = {}) {
+  const recorder = {
+    interval,
+    maxSamples,
+    dropped: 0,
+    recording: true,
+    startTime: 0,
+    lastTime: null,
+    samples: [],
+    meta: {},
+    start(time, meta = {}) {
+      recorder.samples = []; recorder.dropped = 0; recorder.startTime = time; recorder.lastTime = null;
+      recorder.meta = { startedAt: new Date().toISOString(), ...meta }; recorder.recording = true;
+    },
+    stop() { recorder.recording = false; },
+    duration() { return recorder.samples.length ? recorder.samples[recorder.samples.length - 1].t : 0; },
+    capture(time, state, drop, E, force = false) {
+      if (!recorder.recording) return null;
+      if (!force && recorder.lastTime !== null && time - recorder.lastTime < recorder.interval) return null;
+      recorder.lastTime = time;
+      const sample = {
+        t: time - recorder.startTime,
+        y: drop.y,
+        velocity: drop.velocity,
+        field: E,
+        voltageKV: appliedVoltageKV(state, time), // signed when a waveform reverses the field
+        polarity: state.fieldEnabled ? state.fieldPolarity : 0,
+        chargeMultiple: drop.chargeMultiple,
+        chargeCoulombs: drop.chargeCoulombs,
+        radiusMeters: drop.radiusMeters,
+        temperatureK: state.temperatureK,
+        gapMeters: state.plateGapMeters,
+        dropId: drop.id,
+      };
+      recorder.samples.push(sample);
+      const excess = recorder.samples.length - recorder.maxSamples;
+      if (excess >= ROLL_OFF_CHUNK) { recorder.samples.splice(0, excess); recorder.dropped += excess; }
+      return sample;
+    },
+  };
+  return recorder;
+}
+
+export function runToCSV(samples) {
+  const header = RUN_COLUMNS.map(([, name]) => name).join(',');
+  const rows = samples.map(s => RUN_COLUMNS.map(([key]) => s[key]).join(','));
+  return [header, ...rows].join('\n') + '\n';
+}
+
+export function runToJSON(samples, meta = {}) {
+  return JSON.stringify({ format: RUN_FORMAT, version: 1, ...meta, columns: RUN_COLUMNS.map(([key]) => key), samples }, null, 2);
+}
+
+// Parse a run saved by runToCSV or runToJSON; throws an Error describing what is wrong
+export function parseRun(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) throw new Error('The file is empty.');
+  let samples, meta = {};
+  if (trimmed.startsWith('{')) {
+    let data;
+    try { data = JSON.parse(trimmed); } catch { throw new Error('The file is not valid JSON.'); }
+    if (data.format !== RUN_FORMAT || !Array.isArray(data.samples)) throw new Error('Not a saved oil-drop run (missing format or samples).');
+    ({ samples, ...meta } = data);
+    delete meta.columns;
+  } else {
+    const [headerLine, ...lines] = trimmed.split(/\r?\n/);
+    const headers = headerLine.split(',').map(h => h.trim());
+    const keys = headers.map(h => (RUN_COLUMNS.find(([, name]) => name === h) || [])[0]);
+    if (!keys.includes('t') || !keys.includes('y')) throw new Error('CSV needs at least t_s and y_m columns.');
+    samples = lines.filter(line => line.trim()).map(line => {
+      const cells = line.split(',');
+      const sample = {};
+      keys.forEach((key, i) => { if (key) sample[key] = Number(cells[i]); });
+      return sample;
+    });
+  }
+  samples = samples.filter(s => s && typeof s === 'object' && !Array.isArray(s) && Number.isFinite(s.t) && Number.isFinite(s.y));
+  if (!samples.length) throw new Error('The run has no usable samples.');
+  return { samples, meta };
+}
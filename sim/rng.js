@@ -0,0 +1,28 @@
+// rng.js - small seedable PRNG (mulberry32) used for Brownian noise and drop randomization
+
+// Fold a number or string seed into an unsigned 32-bit integer
+export function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(Math.abs(seed)) >>> 0;
+  const text = String(seed ?? '').trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) { h ^= text.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+
+// Fresh seed for runs where the user did not pick one
+export function randomSeed() { return Math.floor(Math.random() * 1e9); }
+
+// Returns a Math.random-compatible function; the normalized seed is kept on `.seed`
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  const random = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = hashSeed(seed);
+  return random;
+}
@@ -0,0 +1,37 @@
+// waveform.js - time-varying plate voltage: square, sine, triangle and ramp (no DOM access)
+
+export const WAVEFORM_SHAPES = ['square', 'sine', 'triangle', 'ramp'];
+export const MAX_WAVEFORM_KV = 8; // same limit as the voltage slider, either polarity
+
+export function createWaveform(overrides = {}) {
+  return {
+    enabled: false,
+    shape: 'square',
+    amplitudeKV: 2,
+    offsetKV: 0,
+    periodS: 10,
+    duty: 0.5, // square: fraction of the period spent high; triangle: fraction spent rising
+    startTime: 0, // sim time at which the waveform's phase is zero
+    ...overrides,
+  };
+}
+
+// Unit shape in [-1, 1] at phase p in [0, 1)
+function unitShape(shape, p, duty) {
+  const d = Math.min(Math.max(duty, 0.01), 0.99);
+  switch (shape) {
+    case 'sine': return Math.sin(2 * Math.PI * p);
+    case 'triangle': return p < d ? -1 + (2 * p) / d : 1 - (2 * (p - d)) / (1 - d);
+    case 'ramp': return -1 + 2 * p;
+    default: return p < d ? 1 : -1;
+  }
+}
+
+// Signed plate voltage in kV at sim time t; a negative value reverses the field
+export function evaluateWaveform(wave, t) {
+  const period = Math.max(wave.periodS, 1e-3);
+  const elapsed = t - (wave.startTime || 0);
+  const phase = ((elapsed / period) % 1 + 1) % 1;
+  const value = wave.offsetKV + wave.amplitudeKV * unitShape(wave.shape, phase, wave.duty);
+  return Math.min(Math.max(value, -MAX_WAVEFORM_KV), MAX_WAVEFORM_KV);
+}
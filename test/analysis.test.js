@@ -0,0 +1,37 @@
+// Charge analysis: fitting e to noisy charges with known multiples
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ELECTRON_CHARGE } from '../sim/engine.js';
+import { createRng } from '../sim/rng.js';
+import { fitElementaryCharge } from '../sim/analysis.js';
+
+// Charges n e with up to ±2 % relative error, as from timed measurements with Brownian noise
+function noisyCharges(multiples, seed) {
+  const random = createRng(seed);
+  return multiples.map(n => n * ELECTRON_CHARGE * (1 + 0.04 * (random() - 0.5)));
+}
+
+for (const method of ['gcd', 'lsq']) {
+  test(`${method} recovers e and the multiples from noisy charges`, () => {
+    for (const [seed, multiples] of [[1, [3, 5, 7, 4]], [2, [2, 3, 5, 8, 13]], [3, [1, 6, 11]]]) {
+      const fit = fitElementaryCharge(noisyCharges(multiples, seed), { method });
+      assert.deepEqual(fit.multiples, multiples, `seed ${seed}`);
+      assert.ok(Math.abs(fit.deviation) < 0.02, `seed ${seed}: e = ${fit.e}`);
+    }
+  });
+}
+
+test('lsq does not lock onto a subharmonic of e', () => {
+  for (let k = 0; k < 200; k++) {
+    const fit = fitElementaryCharge(noisyCharges([4, 6], 400 + k), { method: 'lsq' });
+    assert.deepEqual(fit.multiples, [4, 6], `seed ${400 + k}: e = ${fit.e}`);
+  }
+  // With multiples this large ±2 % also admits a slightly larger e, but never a fraction of it
+  for (const multiples of [[8, 10, 12], [7, 11, 13]]) {
+    for (let k = 0; k < 200; k++) {
+      const fit = fitElementaryCharge(noisyCharges(multiples, 500 + k), { method: 'lsq' });
+      assert.ok(fit.deviation > -0.02, `seed ${500 + k}: e = ${fit.e}`);
+    }
+  }
+});
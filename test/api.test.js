@@ -0,0 +1,84 @@
+// Scripting API: parameters, headless runs, events and measurements
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExperiment } from '../sim/api.js';
+
+test('parameters round-trip in control units and unknown names throw', () => {
+  const exp = createExperiment({ seed: 1 });
+  exp.set({ voltageKV: 3.25, gapMm: 6, radiusMicrons: 0.7, chargeMultiple: -4, pressureKPa: 50 });
+  assert.equal(exp.get('voltageKV'), 3.25);
+  assert.ok(Math.abs(exp.get('gapMm') - 6) < 1e-12);
+  assert.ok(Math.abs(exp.get('radiusMicrons') - 0.7) < 1e-12);
+  assert.equal(exp.measure().chargeMultiple, -4);
+  assert.throws(() => exp.set({ volts: 1 }), /Unknown parameter volts/);
+  assert.throws(() => exp.set({ integrator: 'rk4' }), /integrator must be one of/);
+  assert.throws(() => exp.set({ gas: 'xenon' }), /gas must be one of/);
+  exp.set({ fieldEnabled: 'false', speedCap: 0 });
+  assert.equal(exp.get('fieldEnabled'), false);
+  assert.equal(exp.get('speedCap'), false);
+  assert.throws(() => exp.set({ fieldEnabled: 'off' }), /fieldEnabled must be true or false/);
+});
+
+test('set applies nothing when any value is invalid', () => {
+  let notified = 0;
+  const exp = createExperiment({ seed: 1, onChange: () => { notified++; } });
+  const before = exp.get();
+  assert.throws(() => exp.set({ voltageKV: 6, gas: 'helium', radiusMicrons: 'big' }), /radiusMicrons must be a number/);
+  assert.deepEqual(exp.get(), before);
+  assert.equal(notified, 0);
+});
+
+test('time rejects equal heights and run an empty chunk', () => {
+  const exp = createExperiment({ seed: 1 });
+  assert.throws(() => exp.time({ fromMm: 1, toMm: 1 }), /must differ/);
+  assert.throws(() => exp.run(1, { chunk: 0 }), /chunk must be greater than zero/);
+  assert.throws(() => exp.run(1, { chunk: -0.01 }), /chunk must be greater than zero/);
+  assert.throws(() => exp.run(1, { chunk: 'fast' }), /chunk must be a number/);
+});
+
+test('a noise-free fall crosses heights at the terminal velocity', () => {
+  const exp = createExperiment({ seed: 2, state: { noiseBoost: 0, fieldEnabled: false } });
+  exp.set({ heightMm: 0.5 });
+  const crossings = [];
+  exp.on('cross', ev => crossings.push(ev), { heightMm: 1.5, direction: 'down' });
+  const fall = exp.time({ fromMm: 1, toMm: 3, timeout: 120 });
+  const { terminalVelocity } = exp.measure();
+  assert.ok(Math.abs(fall.velocity - terminalVelocity) / terminalVelocity < 1e-3);
+  assert.equal(crossings.length, 1);
+  assert.ok(Math.abs(crossings[0].t - fall.start - 0.5e-3 / terminalVelocity) < 1e-3);
+});
+
+test('charge changes and plate contacts are reported once each', () => {
+  const exp = createExperiment({ seed: 3, state: { fieldEnabled: false } });
+  const events = [];
+  exp.on('charge', ev => events.push(ev)); exp.on('contact', ev => events.push(ev));
+  exp.set({ chargeMultiple: -2 });
+  exp.set({ chargeMultiple: -3 });
+  assert.deepEqual(events.map(ev => [ev.from, ev.to]), [[-8, -2], [-2, -3]]);
+  exp.set({ heightMm: exp.get('gapMm') - 0.01, radiusMicrons: 1.4 });
+  exp.run(20);
+  const contacts = events.filter(ev => ev.type === 'contact');
+  assert.equal(contacts.length, 1);
+  assert.equal(contacts[0].plate, 'bottom');
+});
+
+test('balance voltage from measure() holds the drop', () => {
+  const exp = createExperiment({ seed: 4 });
+  exp.set({ chargeMultiple: -6 });
+  exp.set({ voltageKV: exp.measure().balanceVoltageKV });
+  const { driftVelocity, terminalVelocity } = exp.measure();
+  assert.ok(Math.abs(driftVelocity) < 1e-9 * terminalVelocity);
+});
+
+test('unsubscribing removes only that subscription of a shared listener', () => {
+  const exp = createExperiment({ seed: 2, state: { noiseBoost: 0, fieldEnabled: false } });
+  exp.set({ heightMm: 0.5 });
+  const heights = [];
+  const listener = ev => heights.push(ev.heightMm);
+  exp.on('cross', listener, { heightMm: 1 });
+  const offSecond = exp.on('cross', listener, { heightMm: 2 });
+  offSecond();
+  exp.run(60, { until: () => exp.get('heightMm') > 2.5 });
+  assert.deepEqual(heights, [1]);
+});
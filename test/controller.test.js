@@ -0,0 +1,37 @@
+// Balance hold: the settled voltage against the balance voltage m g d / |q|
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, createDrop, createSimulation } from '../sim/engine.js';
+import { createHoldController } from '../sim/controller.js';
+
+// First settled voltage in kV next to the balance voltage, or null if the hold never settles
+function firstSettled({ noiseBoost, radiusMicrons, chargeMultiple, seed = 1 }) {
+  const state = createState({ noiseBoost });
+  const drop = createDrop(state, { radiusMicrons, chargeMultiple });
+  const sim = createSimulation({ state, drop, seed });
+  const hold = createHoldController();
+  sim.controllers.push((s, dt) => hold.update(s, dt));
+  hold.enable();
+  const balanceKV = (drop.mass * state.gravity * state.plateGapMeters) / Math.abs(drop.chargeCoulombs) / 1000;
+  while (sim.time < 120) { sim.step(1 / 60); if (hold.settled) return { settledKV: hold.settledVoltage, balanceKV }; }
+  return null;
+}
+
+test('noise-free hold settles at the balance voltage, not on the way up', () => {
+  for (const [radiusMicrons, chargeMultiple] of [[0.9, -8], [0.9, -2], [1.3, -5], [0.5, -5]]) {
+    const result = firstSettled({ noiseBoost: 0, radiusMicrons, chargeMultiple });
+    assert.ok(result, `${radiusMicrons} µm, ${chargeMultiple} e never settled`);
+    const error = (result.settledKV - result.balanceKV) / result.balanceKV;
+    assert.ok(Math.abs(error) < 0.01, `${radiusMicrons} µm, ${chargeMultiple} e: ${result.settledKV} vs ${result.balanceKV} kV`);
+  }
+});
+
+test('with Brownian noise the settled voltage stays within a few percent of balance', () => {
+  for (let seed = 1; seed <= 5; seed++) {
+    const result = firstSettled({ noiseBoost: 1, radiusMicrons: 1.3, chargeMultiple: -5, seed });
+    assert.ok(result, `seed ${seed} never settled`);
+    const error = (result.settledKV - result.balanceKV) / result.balanceKV;
+    assert.ok(Math.abs(error) < 0.04, `seed ${seed}: ${result.settledKV} vs ${result.balanceKV} kV`);
+  }
+});
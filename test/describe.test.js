@@ -0,0 +1,38 @@
+// Screen-reader descriptions and the announcement watches
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, createDrop, computeElectricField } from '../sim/engine.js';
+import { describeDrop, createContactWatch, createBalanceWatch } from '../sim/describe.js';
+
+test('description gives depth, share of the gap and direction of motion', () => {
+  const state = createState({ plateGapMeters: 0.005 });
+  const drop = createDrop(state, { y: 0.002 });
+  const text = describeDrop({ drop, state, velocity: 1e-4, voltageKV: 2 });
+  assert.match(text, /2\.00 mm below the top plate, 40 %/);
+  assert.match(text, /falling at 0\.100 mm\/s/);
+  assert.match(describeDrop({ drop, state, velocity: -1e-4, voltageKV: 2 }), /rising/);
+});
+
+test('a drop resting on a plate is announced once until it moves away', () => {
+  const state = createState({ plateGapMeters: 0.005 });
+  const drop = createDrop(state, { y: 0.005 });
+  const watch = createContactWatch();
+  const hit = { t: 1, dropId: drop.id, plate: 'bottom', mode: 'bounce' };
+  assert.ok(watch.contact(hit));
+  watch.update(drop, state);
+  assert.equal(watch.contact(hit), null);
+  drop.y = 0.004; watch.update(drop, state);
+  assert.ok(watch.contact(hit));
+});
+
+test('balance is reported when the field cancels the weight', () => {
+  const state = createState({ plateGapMeters: 0.005 });
+  const drop = createDrop(state);
+  const watch = createBalanceWatch();
+  state.voltageKV = Math.abs((drop.mass * state.gravity * state.plateGapMeters) / drop.chargeCoulombs) / 1000;
+  const E = computeElectricField(state, 0);
+  assert.equal(watch.update(drop, state, E), 'balanced');
+  assert.equal(watch.update(drop, state, E), null);
+  assert.equal(watch.update(drop, state, 0), 'unbalanced');
+});
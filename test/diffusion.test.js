@@ -0,0 +1,41 @@
+// Diffusion experiment: MSD fit and the k_B / radius inversions
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BOLTZMANN, createState, createDrop, createSimulation } from '../sim/engine.js';
+import { createDiffusionRun, meanSquaredDisplacement, fitDiffusion, diffusionEstimates } from '../sim/diffusion.js';
+
+test('expected D inverts back to BOLTZMANN and the true radius', () => {
+  const state = createState({ pressurePa: 20000 }); // low pressure: a large slip correction to undo
+  const drop = createDrop(state, { radiusMicrons: 0.4 });
+  const { expectedD } = diffusionEstimates(1, drop, state);
+  const estimate = diffusionEstimates(expectedD, drop, state);
+  assert.ok(Math.abs(estimate.boltzmann - BOLTZMANN) / BOLTZMANN < 1e-12);
+  assert.ok(Math.abs(estimate.radiusMeters - drop.radiusMeters) / drop.radiusMeters < 1e-9);
+});
+
+test('a field-off run recovers D within its stated uncertainty', () => {
+  const state = createState({ fieldEnabled: false, noiseBoost: 2 });
+  const drop = createDrop(state, { radiusMicrons: 0.35, y: 0.0005 });
+  const sim = createSimulation({ state, drop, seed: 11 });
+  const run = createDiffusionRun();
+  run.start(drop);
+  while (run.capture(sim.time, drop, state) && sim.time < 60) sim.step(1 / 60);
+  const fit = fitDiffusion(meanSquaredDisplacement(run.samples));
+  const { expectedD } = diffusionEstimates(fit.D, drop, state);
+  assert.ok(Math.abs(fit.D - expectedD) < 3 * fit.uncertainty, `${fit.D} vs ${expectedD} ± ${fit.uncertainty}`);
+  // settling is removed from the MSD and reported separately
+  const vt = (drop.mass * state.gravity) / drop.dragCoeff;
+  assert.ok(Math.abs(fit.settlingVelocity - vt) < 0.5 * vt);
+});
+
+test('the run stops itself when the field comes on', () => {
+  const state = createState({ fieldEnabled: false });
+  const drop = createDrop(state);
+  const run = createDiffusionRun();
+  run.start(drop);
+  assert.equal(run.capture(0, drop, state), true);
+  state.fieldEnabled = true;
+  assert.equal(run.capture(0.1, drop, state), false);
+  assert.equal(run.stopReason, 'the field was switched on');
+});
@@ -0,0 +1,102 @@
+// Physics validation for the headless engine
+// Run: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOLTZMANN, SUBSTEP_DT, createState, createDrop, createSimulation, createPopulation,
+} from '../sim/engine.js';
+
+const STABLE_INTEGRATORS = ['exact', 'semi-implicit'];
+
+function run(sim, seconds) { while (sim.time < seconds - 1e-12) sim.step(Math.min(SUBSTEP_DT, seconds - sim.time)); return sim; }
+
+function assertClose(actual, expected, relTol, message) {
+  assert.ok(Math.abs(actual - expected) <= relTol * Math.abs(expected), `${message}: ${actual} vs ${expected}`);
+}
+
+for (const integrator of STABLE_INTEGRATORS) {
+  test(`${integrator}: field-off drop reaches the Stokes terminal velocity`, () => {
+    const state = createState({ integrator, noiseBoost: 0, fieldEnabled: false, speedCap: false });
+    const sim = createSimulation({ state, drop: createDrop(state, { radiusMicrons: 0.9, y: 0.001 }), seed: 1 });
+    run(sim, 0.2);
+    const { drop } = sim;
+    // m g = 6 pi eta r v / C with the buoyancy-corrected mass
+    const stokes = (drop.mass * state.gravity * drop.slipFactor) / (6 * Math.PI * state.viscosity * drop.radiusMeters);
+    assertClose(drop.velocity, stokes, 1e-6, 'terminal velocity');
+    const y0 = drop.y; run(sim, 1.2);
+    assertClose((drop.y - y0) / 1.0, stokes, 1e-6, 'distance fallen per second');
+  });
+
+  test(`${integrator}: drop stays put at the balance field`, () => {
+    const state = createState({ integrator, noiseBoost: 0, speedCap: false });
+    const drop = createDrop(state, { radiusMicrons: 0.7, chargeMultiple: -5, y: 0.0025 });
+    // Same expression as the balance readout in main.js: m g / q, applied with the sign that opposes gravity
+    const balanceField = (drop.mass * state.gravity) / drop.chargeCoulombs;
+    state.voltageKV = (Math.abs(balanceField) * state.plateGapMeters) / 1000;
+    const sim = createSimulation({ state, drop, seed: 1 });
+    run(sim, 2);
+    assert.ok(Math.abs(drop.y - 0.0025) < 1e-12, `drifted ${drop.y - 0.0025} m`);
+    state.voltageKV *= 1.1; run(sim, 3);
+    assert.ok(drop.y < 0.0025, 'a stronger field lifts the drop');
+  });
+
+  test(`${integrator}: free diffusion matches the Einstein coefficient D = kT / drag`, () => {
+    const state = createState({ integrator, gravity: 0, fieldEnabled: false, speedCap: false });
+    const drops = createPopulation(state, Math.random, { count: 500, radiusMean: 0.6 });
+    drops.forEach(d => { d.radiusMeters = 0.6e-6; d.y = state.plateGapMeters / 2; });
+    const sim = createSimulation({ state, drops, seed: 2024 });
+    sim.recompute();
+    run(sim, 1);
+    const msd = drops.reduce((sum, d) => sum + (d.y - state.plateGapMeters / 2) ** 2, 0) / drops.length;
+    const D = (BOLTZMANN * state.temperatureK) / drops[0].dragCoeff;
+    // 500 samples: the variance estimate scatters by about sqrt(2/500) = 6 %
+    assertClose(msd / (2 * 1), D, 0.2, 'mean-squared displacement / 2t');
+  });
+}
+
+test('same seed gives the same trajectory', () => {
+  const final = () => { const sim = run(createSimulation({ seed: 1913 }), 3); return [sim.drop.y, sim.drop.velocity]; };
+  assert.deepEqual(final(), final());
+});
+
+test('the trajectory does not depend on how the time is split into frames', () => {
+  const final = (frames) => {
+    const sim = createSimulation({ state: createState({ fieldEnabled: false }), seed: 1913 });
+    for (let i = 0; i < 120; i++) sim.step(frames[i % frames.length]);
+    return [sim.time, sim.drop.y, sim.drop.velocity];
+  };
+  // Jittery frames with the same total of 2 s
+  assert.deepEqual(final([1 / 60]), final([0.0187, 1 / 30 - 0.0187]));
+  assert.deepEqual(final([1 / 60]), final([0.004, 0.025, 0.021, 1 / 15 - 0.05]));
+});
+
+test('stick and lost plate contact freeze the drop', () => {
+  for (const plateContact of ['stick', 'lost']) {
+    const state = createState({ plateContact, fieldEnabled: false });
+    const sim = createSimulation({ state, drop: createDrop(state, { y: state.plateGapMeters - 1e-6 }), seed: 3 });
+    run(sim, 0.5);
+    assert.equal(sim.drop.y, state.plateGapMeters);
+    assert.equal(sim.drop.velocity, 0);
+    assert.equal(sim.drop[plateContact === 'stick' ? 'stuck' : 'lost'], true);
+  }
+});
+
+test('bounce keeps the drop between the plates', () => {
+  const state = createState({ fieldEnabled: false });
+  const sim = createSimulation({ state, drop: createDrop(state, { y: state.plateGapMeters - 1e-6 }), seed: 3 });
+  run(sim, 0.5);
+  assert.ok(sim.drop.y <= state.plateGapMeters && sim.drop.y > 0);
+  assert.equal(sim.drop.stuck || sim.drop.lost, false);
+});
+
+test('speed cap limits the explicit Euler overshoot only when enabled', () => {
+  const firstStep = (speedCap) => {
+    const state = createState({ integrator: 'euler', speedCap, noiseBoost: 0, fieldEnabled: false });
+    const sim = createSimulation({ state, drop: createDrop(state, { y: 0.001 }), seed: 4 });
+    sim.step(3 * SUBSTEP_DT);
+    return Math.abs(sim.drop.velocity);
+  };
+  // dt gamma / m is far above 2 here, so each Euler step overshoots and flips the velocity, growing ~58x per step
+  assert.ok(firstStep(false) > 10 * firstStep(true));
+});
@@ -0,0 +1,41 @@
+// Chamber gas: Sutherland viscosity, ideal-gas density and mean free path against reference values
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STANDARD_PRESSURE, sutherlandViscosity, gasDensity, meanFreePath, resolveGas } from '../sim/gas.js';
+import { createState, applyEnvironment } from '../sim/engine.js';
+
+function assertClose(actual, expected, relTol, message) {
+  assert.ok(Math.abs(actual - expected) <= relTol * Math.abs(expected), `${message}: ${actual} vs ${expected}`);
+}
+
+test('air at 295 K and 1 atm matches the handbook values', () => {
+  assertClose(sutherlandViscosity('air', 295), 1.82e-5, 0.01, 'viscosity');
+  assertClose(gasDensity('air', 295, STANDARD_PRESSURE), 1.196, 0.01, 'density');
+  assertClose(meanFreePath('air', 295, STANDARD_PRESSURE), 65e-9, 0.02, 'mean free path');
+});
+
+test('Sutherland viscosity returns mu0 at T0 and rises with temperature', () => {
+  assertClose(sutherlandViscosity('air', 273.15), 1.716e-5, 1e-12, 'air at T0');
+  assert.ok(sutherlandViscosity('air', 330) > sutherlandViscosity('air', 295));
+  assert.ok(sutherlandViscosity('helium', 295) > sutherlandViscosity('air', 295));
+});
+
+test('density and mean free path scale with pressure as the ideal gas does', () => {
+  const lambda = meanFreePath('air', 295, STANDARD_PRESSURE);
+  for (const factor of [0.1, 0.5, 2]) {
+    assertClose(meanFreePath('air', 295, STANDARD_PRESSURE * factor), lambda / factor, 1e-12, `lambda at ${factor} atm`);
+    assertClose(gasDensity('air', 295, STANDARD_PRESSURE * factor), gasDensity('air', 295, STANDARD_PRESSURE) * factor, 1e-12, `density at ${factor} atm`);
+  }
+  // Light helium molecules travel further between collisions
+  assert.ok(meanFreePath('helium', 295, STANDARD_PRESSURE) > 2.5 * lambda);
+});
+
+test('unknown gases fall back to air and the engine picks the values up', () => {
+  assert.equal(resolveGas('Argon'), 'argon');
+  assert.equal(resolveGas('xenon'), 'air');
+  const state = createState({ gas: 'nitrogen', temperatureK: 295, pressurePa: 20000 });
+  applyEnvironment(state);
+  assertClose(state.viscosity, sutherlandViscosity('nitrogen', 295), 1e-12, 'state viscosity');
+  assertClose(state.meanFreePath, meanFreePath('nitrogen', 295, 20000), 1e-12, 'state mean free path');
+});
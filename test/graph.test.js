@@ -0,0 +1,23 @@
+// History graph math: axis ticks and the two-cursor readout
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { niceTicks, visibleRange, cursorReadout } from '../sim/graph.js';
+
+test('nice ticks cover the range with 1, 2 or 5 steps', () => {
+  const axis = niceTicks(0.13, 0.87, 4);
+  assert.equal(axis.step, 0.2);
+  assert.ok(axis.min <= 0.13 && axis.max >= 0.87);
+  assert.equal(axis.decimals, 1);
+  const flat = niceTicks(3, 3);
+  assert.ok(flat.min < 3 && flat.max > 3, 'a flat trace still gets a usable axis');
+});
+
+test('cursor readout gives the average velocity of a steady fall', () => {
+  const samples = Array.from({ length: 101 }, (_, i) => ({ t: i / 10, y: 0.001 + 2e-5 * i / 10 }));
+  const reading = cursorReadout(samples, 1.25, 7.75);
+  assert.ok(Math.abs(reading.dt - 6.5) < 1e-12);
+  assert.ok(Math.abs(reading.dy - 1.3e-4) < 1e-12);
+  assert.ok(Math.abs(reading.averageVelocity - 2e-5) < 1e-12);
+  assert.equal(visibleRange(samples, 2, 3).length, 12);
+});
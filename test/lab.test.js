@@ -0,0 +1,53 @@
+// Student lab: mystery drop ranges and answer scoring
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LAB_DIFFICULTIES, labDropSetup, resolveDifficulty, scoreLabAnswer } from '../sim/lab.js';
+import { createRng } from '../sim/rng.js';
+
+const truth = { chargeMultiple: -10, radiusMicrons: 0.8 };
+
+test('an exact answer scores 100 and a missing one 0', () => {
+  assert.equal(scoreLabAnswer(truth, { chargeMultiple: -10, radiusMicrons: 0.8 }, 'medium').total, 100);
+  const blank = scoreLabAnswer(truth, { chargeMultiple: 'x', radiusMicrons: -1 }, 'medium');
+  assert.equal(blank.total, 0);
+  assert.equal(blank.charge.answer, null);
+  assert.equal(blank.radius.answer, null);
+});
+
+test('charge credit: the sign is a small bonus, the magnitude falls off with relative error', () => {
+  assert.equal(scoreLabAnswer(truth, { chargeMultiple: 10, radiusMicrons: 0.8 }, 'medium').total, 94);
+  // One e off out of ten: 0.6 * (1 - 0.1 / 0.5) magnitude credit
+  const offByOne = scoreLabAnswer(truth, { chargeMultiple: -11, radiusMicrons: 0.8 }, 'medium');
+  assert.ok(Math.abs(offByOne.charge.score - (0.9 * 0.48 + 0.1)) < 1e-12);
+  assert.equal(offByOne.total, 72);
+  assert.equal(scoreLabAnswer(truth, { chargeMultiple: -16, radiusMicrons: 0.8 }, 'medium').charge.score, 0.1);
+});
+
+test('radius credit follows the difficulty tolerance band', () => {
+  const [full, zero] = LAB_DIFFICULTIES.medium.radiusTolerance;
+  const score = (radiusMicrons) => scoreLabAnswer(truth, { chargeMultiple: -10, radiusMicrons }, 'medium').radius.score;
+  assert.equal(score(0.8 * (1 + full * 0.5)), 1);
+  assert.ok(Math.abs(score(0.8 * (1 + (full + zero) / 2)) - 0.5) < 1e-9);
+  assert.equal(score(0.8 * (1 - zero * 1.2)), 0);
+  // The same answer earns less on hard than on easy
+  const hard = scoreLabAnswer(truth, { chargeMultiple: -10, radiusMicrons: 0.92 }, 'hard').radius.score;
+  const easy = scoreLabAnswer(truth, { chargeMultiple: -10, radiusMicrons: 0.92 }, 'easy').radius.score;
+  assert.ok(hard < easy);
+});
+
+test('mystery drops stay inside their difficulty ranges', () => {
+  assert.equal(resolveDifficulty('HARD'), 'hard');
+  assert.equal(resolveDifficulty('impossible'), 'medium');
+  for (const name of Object.keys(LAB_DIFFICULTIES)) {
+    const { radius: [rMin, rMax], charge: [qMin, qMax], noiseBoost } = LAB_DIFFICULTIES[name];
+    const random = createRng(7);
+    for (let i = 0; i < 200; i++) {
+      const setup = labDropSetup(random, name);
+      assert.ok(setup.radiusMicrons >= rMin && setup.radiusMicrons <= rMax, `${name} radius ${setup.radiusMicrons}`);
+      assert.ok(Math.abs(setup.chargeMultiple) >= qMin && Math.abs(setup.chargeMultiple) <= qMax, `${name} charge ${setup.chargeMultiple}`);
+      assert.ok(setup.gapMm >= 3 && setup.gapMm <= 8);
+      assert.equal(setup.noiseBoost, noiseBoost);
+    }
+  }
+});
@@ -0,0 +1,48 @@
+// Reticle stopwatch: fall and rise timings, interpolated crossings and drops that turn back
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStopwatch } from '../sim/measurement.js';
+
+// Feed positions (fractions of the gap) sampled every dt seconds
+function feed(watch, positions, dt = 0.1, context = {}) {
+  return positions.map((frac, i) => watch.sample(i * dt, frac, context)).filter(Boolean);
+}
+
+test('a fall is timed between the interpolated line crossings', () => {
+  const watch = createStopwatch({ upper: 0.25, lower: 0.75 });
+  const [record] = feed(watch, [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9], 0.1, { gapMeters: 0.004, fieldOn: false, dropId: 3 });
+  assert.equal(record.kind, 'fall');
+  assert.ok(Math.abs(record.duration - 0.5) < 1e-12);
+  assert.ok(Math.abs(record.distanceMeters - 0.002) < 1e-15);
+  assert.ok(Math.abs(record.velocity - 0.004) < 1e-12);
+  assert.equal(record.dropId, 3);
+  assert.deepEqual(watch.results, [record]);
+});
+
+test('a rise is timed from the lower line to the upper one', () => {
+  const watch = createStopwatch({ upper: 0.25, lower: 0.75 });
+  const records = feed(watch, [0.9, 0.7, 0.5, 0.3, 0.1], 0.2, { gapMeters: 0.005, fieldOn: true, voltageKV: 3 });
+  assert.equal(records.length, 1);
+  assert.equal(records[0].kind, 'rise');
+  assert.ok(Math.abs(records[0].duration - 0.5) < 1e-12);
+  assert.equal(records[0].fieldOn, true);
+  assert.equal(records[0].voltageKV, 3);
+});
+
+test('a drop that turns back out of the line it entered is not timed', () => {
+  const watch = createStopwatch({ upper: 0.25, lower: 0.75 });
+  assert.deepEqual(feed(watch, [0.2, 0.4, 0.6, 0.4, 0.2]), []);
+  assert.equal(watch.active, null);
+  // ...and the next full pass is timed from its own entry
+  watch.sample(1, 0.2); watch.sample(1.1, 0.3);
+  assert.equal(watch.sample(1.2, 0.8).kind, 'fall');
+});
+
+test('lines are ordered and kept apart, and starting between them does not count', () => {
+  const watch = createStopwatch();
+  watch.setLines(0.8, 0.79);
+  assert.equal(watch.upper, 0.79);
+  assert.ok(Math.abs(watch.lower - 0.81) < 1e-12);
+  assert.deepEqual(feed(createStopwatch(), [0.5, 0.6, 0.9]), []);
+});
@@ -0,0 +1,51 @@
+// Presets: range checks, share-link round trips and saved presets in a stand-in storage
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PRESET, PRESET_STORAGE_KEY, BUILTIN_PRESETS, normalizePreset, presetToQuery, presetFromQuery,
+  loadUserPresets, saveUserPreset,
+} from '../sim/presets.js';
+
+// Minimal localStorage stand-in
+function createStorage(items = {}) {
+  return { getItem: key => (key in items ? items[key] : null), setItem: (key, value) => { items[key] = String(value); } };
+}
+
+test('normalizePreset clamps to the slider ranges and falls back to defaults', () => {
+  const preset = normalizePreset({ voltageKV: 12, gapMm: 1, radiusMicrons: '0.1', chargeMultiple: -7.6, temperatureK: 400, noiseBoost: 'loud', gas: 'xenon', pressureKPa: null });
+  assert.equal(preset.voltageKV, 8);
+  assert.equal(preset.gapMm, 2);
+  assert.equal(preset.radiusMicrons, 0.3);
+  assert.equal(preset.chargeMultiple, -8);
+  assert.equal(preset.temperatureK, 330);
+  assert.equal(preset.noiseBoost, DEFAULT_PRESET.noiseBoost);
+  assert.equal(preset.gas, 'air');
+  assert.equal(preset.pressureKPa, DEFAULT_PRESET.pressureKPa);
+  assert.deepEqual(normalizePreset(), DEFAULT_PRESET);
+});
+
+test('share links round-trip the setup and the seed', () => {
+  const preset = normalizePreset({ ...BUILTIN_PRESETS.brownian, gas: 'helium', pressureKPa: 12.5, viscosity: 2.25, manualViscosity: true, showGrid: false, measureMode: true });
+  const query = presetToQuery(preset, 1234);
+  assert.deepEqual(presetFromQuery(query), preset);
+  assert.equal(new URLSearchParams(query).get('seed'), '1234');
+  const off = presetFromQuery(presetToQuery({ ...preset, manualViscosity: false, fieldEnabled: true, eyepieceView: false }));
+  assert.equal(off.manualViscosity, false);
+  assert.equal(off.fieldEnabled, true);
+  assert.equal(off.eyepieceView, false);
+  assert.equal(presetFromQuery('?seed=7'), null);
+});
+
+test('saved presets survive a reload and corrupt storage reads as empty', () => {
+  const storage = createStorage();
+  saveUserPreset(storage, '  slow drop ', { radiusMicrons: 0.5, chargeMultiple: -2 });
+  assert.deepEqual(Object.keys(loadUserPresets(storage)), ['slow drop']);
+  assert.equal(loadUserPresets(storage)['slow drop'].radiusMicrons, 0.5);
+  for (const text of ['{not json', '[1, 2]', 'null']) assert.deepEqual(loadUserPresets(createStorage({ [PRESET_STORAGE_KEY]: text })), {});
+  assert.deepEqual(loadUserPresets({ getItem: () => { throw new Error('denied'); } }), {});
+  assert.deepEqual(loadUserPresets(null), {});
+  // A stored preset with bad fields is repaired rather than dropped
+  assert.equal(loadUserPresets(createStorage({ [PRESET_STORAGE_KEY]: '{"odd": {"voltageKV": "x", "gapMm": 50}}' })).odd.gapMm, 10);
+  assert.throws(() => saveUserPreset(storage, '   ', {}), /name/);
+});
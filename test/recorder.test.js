@@ -0,0 +1,47 @@
+// Run recorder: the rolling sample cap, CSV/JSON round trips and rejecting bad files
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, createDrop } from '../sim/engine.js';
+import { createRunRecorder, runToCSV, runToJSON, parseRun } from '../sim/recorder.js';
+
+test('samples past maxSamples roll off the start of the run', () => {
+  const state = createState(); const drop = createDrop(state);
+  const recorder = createRunRecorder({ interval: 0.005, maxSamples: 2000 });
+  recorder.start(5);
+  for (let i = 0; i < 3500; i++) recorder.capture(5 + i * 0.01, state, drop, 0);
+  assert.equal(recorder.dropped, 1000);
+  assert.equal(recorder.samples.length, 2500);
+  assert.ok(Math.abs(recorder.samples[0].t - 10) < 1e-9);
+  assert.ok(Math.abs(recorder.duration() - 34.99) < 1e-9);
+  recorder.start(50);
+  assert.equal(recorder.dropped, 0);
+  assert.equal(recorder.samples.length, 0);
+});
+
+function recordedRun() {
+  const state = createState({ voltageKV: 2.5 }); const drop = createDrop(state, { chargeMultiple: -3 });
+  const recorder = createRunRecorder({ interval: 0.005 });
+  recorder.start(1, { seed: 42 });
+  for (let i = 0; i < 5; i++) { drop.y += 1e-5; recorder.capture(1 + i * 0.01, state, drop, 5e5); }
+  return recorder;
+}
+
+test('CSV and JSON exports parse back to the same samples', () => {
+  const recorder = recordedRun();
+  assert.deepEqual(parseRun(runToCSV(recorder.samples)).samples, recorder.samples);
+  const json = parseRun(runToJSON(recorder.samples, recorder.meta));
+  assert.deepEqual(json.samples, recorder.samples);
+  assert.equal(json.meta.seed, 42);
+});
+
+test('bad files are rejected with a description', () => {
+  const { samples } = recordedRun();
+  assert.throws(() => parseRun('  '), /empty/);
+  assert.throws(() => parseRun('{"format": "millikan-run", "samples": [1, 2'), /not valid JSON/);
+  assert.throws(() => parseRun('{"format": "other", "samples": []}'), /Not a saved oil-drop run/);
+  assert.throws(() => parseRun('a,b\n1,2\n'), /t_s and y_m/);
+  assert.throws(() => parseRun(JSON.stringify({ format: 'millikan-run', samples: [null, 3, 'x', [1, 2], { t: 'no' }] })), /no usable samples/);
+  // Stray entries are dropped and the rest of the run kept
+  assert.deepEqual(parseRun(JSON.stringify({ format: 'millikan-run', samples: [null, ...samples, 7] })).samples, samples);
+});
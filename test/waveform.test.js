@@ -0,0 +1,60 @@
+// Plate-voltage waveforms: shapes, duty cycle, phase and the slider's voltage limit
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_WAVEFORM_KV, createWaveform, evaluateWaveform } from '../sim/waveform.js';
+import { createState, appliedVoltageKV } from '../sim/engine.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} vs ${expected}`);
+
+// Fraction of one period spent above the offset, sampled finely
+function highFraction(wave) {
+  let high = 0; const n = 10000;
+  for (let i = 0; i < n; i++) if (evaluateWaveform(wave, ((i + 0.5) / n) * wave.periodS) > wave.offsetKV) high++;
+  return high / n;
+}
+
+test('square wave holds offset ± amplitude for the duty fraction of the period', () => {
+  const wave = createWaveform({ shape: 'square', amplitudeKV: 2, offsetKV: 1, periodS: 4, duty: 0.25 });
+  close(evaluateWaveform(wave, 0.5), 3, 'high');
+  close(evaluateWaveform(wave, 1.5), -1, 'low');
+  close(highFraction(wave), 0.25, 'duty');
+  close(highFraction({ ...wave, duty: 0.7 }), 0.7, 'duty 0.7');
+});
+
+test('sine, triangle and ramp pass through their key points', () => {
+  const base = { amplitudeKV: 2, offsetKV: 0, periodS: 8 };
+  const sine = createWaveform({ ...base, shape: 'sine' });
+  close(evaluateWaveform(sine, 0), 0, 'sine at 0');
+  close(evaluateWaveform(sine, 2), 2, 'sine peak');
+  close(evaluateWaveform(sine, 6), -2, 'sine trough');
+  // Triangle rises for duty of the period from -A to +A, then falls back
+  const triangle = createWaveform({ ...base, shape: 'triangle', duty: 0.25 });
+  close(evaluateWaveform(triangle, 0), -2, 'triangle start');
+  close(evaluateWaveform(triangle, 1), 0, 'triangle half way up');
+  close(evaluateWaveform(triangle, 2), 2, 'triangle peak');
+  close(evaluateWaveform(triangle, 5), 0, 'triangle half way down');
+  close(highFraction(triangle), 0.5, 'triangle symmetric about the offset');
+  const ramp = createWaveform({ ...base, shape: 'ramp' });
+  close(evaluateWaveform(ramp, 0), -2, 'ramp start');
+  close(evaluateWaveform(ramp, 4), 0, 'ramp middle');
+  close(evaluateWaveform(ramp, 7.9), 1.95, 'ramp end');
+});
+
+test('phase counts from startTime, repeats every period and works before it', () => {
+  const wave = createWaveform({ shape: 'ramp', amplitudeKV: 1, periodS: 2, startTime: 10 });
+  close(evaluateWaveform(wave, 10.5), -0.5, 'after start');
+  close(evaluateWaveform(wave, 14.5), -0.5, 'two periods later');
+  close(evaluateWaveform(wave, 9.5), 0.5, 'before start');
+});
+
+test('voltage is clamped to the slider limit and only applied when enabled', () => {
+  const wave = createWaveform({ shape: 'square', amplitudeKV: 6, offsetKV: 5 });
+  close(evaluateWaveform(wave, 1), MAX_WAVEFORM_KV, 'clamped high');
+  close(evaluateWaveform({ ...wave, offsetKV: -5 }, 6), -MAX_WAVEFORM_KV, 'clamped low');
+  const state = createState({ voltageKV: 2.5 });
+  state.waveform = wave;
+  assert.equal(appliedVoltageKV(state, 1), 2.5);
+  wave.enabled = true;
+  close(appliedVoltageKV(state, 1), MAX_WAVEFORM_KV, 'applied');
+});